@@ -17,6 +17,10 @@ const compat = new FlatCompat({
 });
 
 module.exports = defineConfig([
+  // Fixtures are linted by the tests, with their own config
+  {
+    ignores: ["tests/fixtures/"],
+  },
   eslintPlugin.default.configs.recommended,
   nodePlugin.configs['flat/recommended'],
   {
@@ -37,6 +41,11 @@ module.exports = defineConfig([
         ...globals.mocha,
       },
     },
+
+    // Tests may require parsers which are only dev dependencies
+    rules: {
+      "n/no-unpublished-require": "off",
+    },
   },
   // Disable 'n/no-unpublished-require' for this config file only
   {
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Count the parameters of every function of a file, as `better-max-params` does.
+ * @author GP4cK
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const path = require("node:path");
+const { Linter } = require("eslint");
+const rule = require("./rules/better-max-params");
+const astUtils = require("./rules/utils/ast-utils");
+const { upperCaseFirst } = require("./rules/utils/string-utils");
+const { FUNCTION_TYPES, createParamCounter, isIgnoredFile } = require("./rules/utils/count-utils");
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+/**
+ * Counts the parameters of every function of a file, with the same options and visitor as
+ * `better-max-params`. Functions which the rule skips, like ignored functions or callbacks,
+ * are left out.
+ * @param {string|SourceCode} sourceCode The text of the file, or its source code object.
+ * @param {Object} [options] The options of `better-max-params`, and:
+ * @param {Object} [options.languageOptions] The language options to parse the text, like `parser`.
+ * @param {string} [options.filename] The name of the file, which decides whether it is a declaration file.
+ * @returns {{ kind: string, name: string, loc: SourceLocation, count: number, total: number, max: number|null }[]}
+ * The functions, in the order of the source, with their most specific kind, their name and
+ * kind as in the reports, the location of their head, and the number of counted parameters,
+ * of all parameters and the limit which applies to them.
+ */
+module.exports = function analyze(sourceCode, options = {}) {
+  const { languageOptions = {}, filename = "file.js", ...ruleOptions } = options;
+  const functions = [];
+  const analyzeRule = {
+    meta: {
+      defaultOptions: rule.meta.defaultOptions,
+      schema: rule.meta.schema
+    },
+    create(context) {
+      const [option] = context.options;
+      const { measureFunction } = createParamCounter(option, context.sourceCode);
+
+      if (isIgnoredFile(option, context.filename)) {
+        return {};
+      }
+
+      /**
+       * Records the parameters of a function.
+       * @param {ASTNode} node The function node.
+       * @returns {void}
+       */
+      function recordFunction(node) {
+        const measure = measureFunction(node);
+
+        if (measure) {
+          functions.push({
+            kind: astUtils.getFunctionKinds(node)[0],
+            name: upperCaseFirst(astUtils.getFunctionNameWithKind(node)),
+            loc: astUtils.getFunctionHeadLoc(node, context.sourceCode),
+            count: measure.count,
+            total: measure.total,
+            max: measure.max === undefined ? null : measure.max
+          });
+        }
+      }
+
+      return Object.fromEntries(FUNCTION_TYPES.map(type => [type, recordFunction]));
+    }
+  };
+
+  // A config only matches the files inside the working directory of the linter
+  const linter = new Linter({ configType: "flat", cwd: path.dirname(path.resolve(filename)) });
+  const [fatal] = linter.verify(sourceCode, {
+    files: ["**"],
+    plugins: { "better-max-params": { rules: { "better-max-params": analyzeRule } } },
+    languageOptions,
+    rules: { "better-max-params/better-max-params": ["error", ruleOptions] }
+  }, filename).filter(message => message.fatal);
+
+  if (fatal) {
+    throw new SyntaxError(`${fatal.message} (${fatal.line}:${fatal.column})`);
+  }
+  return functions;
+};
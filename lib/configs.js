@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Rules of the shareable configs, by config name.
+ * @author GP4cK
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Presets
+//------------------------------------------------------------------------------
+
+const recommended = {
+  func: 4,
+  constructor: 5,
+  ignoreDeclarationFiles: true,
+  ignoreOverrides: true
+};
+
+const strict = {
+  func: 3,
+  constructor: 3,
+  privateMethod: 4,
+  ignoreDeclarationFiles: true,
+  ignoreOverrides: true,
+  destructuredProperties: "count-each",
+  maxDestructuredProperties: 6
+};
+
+// Parameter decorators of Angular and NestJS which inject a dependency, or modify how it is injected
+const angularInjectionDecorators = ["Inject", "Optional", "Self", "SkipSelf", "Host", "Attribute"];
+const nestjsInjectionDecorators = ["Inject", "InjectRepository", "InjectModel", "InjectConnection", "InjectQueue", "Optional"];
+
+// Parameter decorators of NestJS route handlers, whose parameters are bound by the framework
+const nestjsRouteDecorators = [
+  "Body",
+  "Param",
+  "Query",
+  "Headers",
+  "Req",
+  "Request",
+  "Res",
+  "Response",
+  "Next",
+  "Ip",
+  "Session",
+  "HostParam",
+  "UploadedFile",
+  "UploadedFiles"
+];
+
+//------------------------------------------------------------------------------
+// Configs
+//------------------------------------------------------------------------------
+
+module.exports = {
+  recommended: {
+    "better-max-params/better-max-params": ["error", recommended]
+  },
+
+  strict: {
+    "better-max-params/better-max-params": ["error", strict],
+    "better-max-params/max-arguments": ["error", { call: 4 }],
+    "better-max-params/no-positional-flag-params": "error"
+  },
+
+  angular: {
+    "better-max-params/better-max-params": ["error", {
+      ...recommended,
+      constructor: 2,
+      injectedDependencies: 8,
+      injectionDecorators: angularInjectionDecorators
+    }],
+    "better-max-params/max-dependencies": ["error", { dependencies: 8 }]
+  },
+
+  nestjs: {
+    "better-max-params/better-max-params": ["error", {
+      ...recommended,
+      constructor: 2,
+      injectedDependencies: 8,
+      injectionDecorators: nestjsInjectionDecorators,
+      ignoredDecorators: nestjsRouteDecorators
+    }]
+  },
+
+  express: {
+    "better-max-params/better-max-params": ["error", {
+      ...recommended,
+      func: 3,
+      callbacks: {
+        // Error middlewares take `(err, req, res, next)`
+        "app.*": 4,
+        "router.*": 4,
+        "*.use": 4
+      }
+    }]
+  },
+
+  react: {
+    "better-max-params/better-max-params": ["error", {
+      ...recommended,
+      func: 3
+    }],
+    "better-max-params/max-component-props": ["error", { componentProps: 8 }]
+  }
+};
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Formatter writing the violations of `better-max-params` as a baseline file.
+ * @author GP4cK
+ */
+"use strict";
+
+const rule = require("../rules/better-max-params");
+const { escapeRegExp } = require("../rules/utils/pattern-utils");
+const { BASELINE_MESSAGE_IDS, getBaselineCountKey, toBaselineKey } = require("../rules/utils/baseline-utils");
+
+const RULE_ID = "better-max-params/better-max-params";
+
+/**
+ * Converts a message of the rule to the source of a regular expression capturing its `name`
+ * and the number recorded in the baseline as `count`, and matching its other placeholders.
+ *
+ * - `"{{name}} has too many parameters ({{count}}). ..."`  ... `(?<name>.+) has too many parameters \((?<count>\d+)\)\. ...`
+ * @param {string} template The message, with `{{placeholders}}`.
+ * @param {string} countKey The placeholder holding the number recorded in the baseline.
+ * @returns {string} The source of the regular expression.
+ */
+function toMessagePattern(template, countKey) {
+  const source = template
+    .split(/(\{\{\w+\}\})/u)
+    .map(part => {
+      if (part === `{{${countKey}}}`) {
+        return "(?<count>\\d+)";
+      }
+      switch (part) {
+        case "{{name}}":
+          return "(?<name>.+)";
+        case "{{count}}":
+        case "{{max}}":
+          return "\\d+";
+        default:
+          return /^\{\{\w+\}\}$/u.test(part) ? ".+?" : escapeRegExp(part);
+      }
+    })
+    .join("");
+
+  return source;
+}
+
+// The default messages, which a custom message can start with
+const DEFAULT_MESSAGE_IDS = BASELINE_MESSAGE_IDS.filter(messageId => messageId !== "exceedCustom");
+
+const messagePatterns = Object.fromEntries(DEFAULT_MESSAGE_IDS.map(messageId => [
+  messageId,
+  toMessagePattern(rule.meta.messages[messageId], getBaselineCountKey(messageId))
+]));
+
+const messageRegExps = Object.fromEntries(Object.entries(messagePatterns)
+  .map(([messageId, pattern]) => [messageId, new RegExp(`^${pattern}$`, "u")]));
+
+// A custom message without a `message` template keeps the default message, followed by the hint
+const hintedMessageRegExps = Object.values(messagePatterns).map(pattern => new RegExp(`^${pattern} .*$`, "su"));
+
+/**
+ * Reads the name of the function and the number recorded in the baseline from a message of
+ * the rule. A custom message is read from the default message it starts with, which `hint`
+ * keeps but a `message` template replaces.
+ * @param {Object} message The lint message.
+ * @returns {{ name: string, count: number }} The entry of the baseline.
+ * @throws {Error} If the message is a custom message which doesn't start with a default one.
+ */
+function toBaselineEntry(message) {
+  const match = message.messageId === "exceedCustom"
+    ? hintedMessageRegExps.map(regExp => regExp.exec(message.message)).find(Boolean)
+    : messageRegExps[message.messageId].exec(message.message);
+
+  if (!match) {
+    throw new Error(`The baseline can't be generated from the custom message "${message.message}". Generate it without the \`message\` templates of \`messages\`: hints are supported.`);
+  }
+  return { name: match.groups.name, count: Number(match.groups.count) };
+}
+
+/**
+ * Formats lint results as a baseline: the violations of the number of parameters reported by
+ * `better-max-params`, by file.
+ * @param {Object[]} results The lint results.
+ * @param {Object} [context] The formatter context, with the working directory.
+ * @returns {string} The baseline, as JSON.
+ * @throws {Error} If a violation has a custom message which can't be read back.
+ */
+module.exports = function formatBaseline(results, context) {
+  const cwd = context && context.cwd || process.cwd();
+  const baseline = {};
+
+  results
+    .slice()
+    .sort((a, b) => a.filePath.localeCompare(b.filePath))
+    .forEach(result => {
+      const entries = result.messages
+        .filter(message => message.ruleId === RULE_ID && BASELINE_MESSAGE_IDS.includes(message.messageId))
+        .map(toBaselineEntry);
+
+      if (entries.length > 0) {
+        baseline[toBaselineKey(result.filePath, cwd)] = entries;
+      }
+    });
+
+  return JSON.stringify(baseline, null, 2);
+};
@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Formatter writing the parameter counts of the linted files as JSON.
+ * @author GP4cK
+ */
+"use strict";
+
+const { collectStats } = require("./utils/stats-utils");
+
+/**
+ * Formats lint results as the statistics of the parameter counts of their functions.
+ * @param {Object[]} results The lint results.
+ * @param {Object} [context] The formatter context, with the working directory.
+ * @returns {Promise<string>} The statistics, as JSON.
+ */
+module.exports = async function formatStatsJson(results, context) {
+  return JSON.stringify(await collectStats(results, context), null, 2);
+};
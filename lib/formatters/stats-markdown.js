@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Formatter writing the parameter counts of the linted files as Markdown.
+ * @author GP4cK
+ */
+"use strict";
+
+const { CONFIG_VARIABLE, PERCENTILES, collectStats } = require("./utils/stats-utils");
+
+// The width of the longest bar of a histogram
+const BAR_WIDTH = 20;
+
+/**
+ * Formats a table row.
+ * @param {Array<string|number>} cells The cells of the row.
+ * @returns {string} The row.
+ */
+function formatRow(cells) {
+  return `| ${cells.join(" | ")} |`;
+}
+
+/**
+ * Formats the percentiles of each kind, as the limits keeping that share of the functions valid.
+ * @param {Object} stats The statistics.
+ * @returns {string[]} The lines of the table.
+ */
+function formatLimits(stats) {
+  const rows = [["All", stats.all], ...Object.entries(stats.kinds)].map(([kind, summary]) => formatRow([
+    kind === "All" ? "All" : `\`${kind}\``,
+    summary.functions,
+    ...PERCENTILES.map(percentile => summary.percentiles[`p${percentile}`]),
+    summary.max
+  ]));
+
+  return [
+    formatRow(["Kind", "Functions", ...PERCENTILES.map(percentile => `${percentile}%`), "Max"]),
+    formatRow(["---", "---:", ...PERCENTILES.map(() => "---:"), "---:"]),
+    ...rows
+  ];
+}
+
+/**
+ * Formats the histogram of a summary.
+ * @param {Object} summary The summary of a kind.
+ * @returns {string[]} The lines of the table.
+ */
+function formatHistogram(summary) {
+  const highest = Math.max(...Object.values(summary.histogram));
+
+  return [
+    formatRow(["Parameters", "Functions", ""]),
+    formatRow(["---:", "---:", "---"]),
+    ...Object.entries(summary.histogram).map(([count, functions]) => formatRow([
+      count,
+      functions,
+      "█".repeat(functions > 0 ? Math.max(Math.round(functions / highest * BAR_WIDTH), 1) : 0)
+    ]))
+  ];
+}
+
+/**
+ * Formats the functions with the most parameters.
+ * @param {Object[]} offenders The functions.
+ * @returns {string[]} The lines of the table.
+ */
+function formatWorstOffenders(offenders) {
+  return [
+    formatRow(["Function", "Kind", "Parameters", "Limit", "Location"]),
+    formatRow(["---", "---", "---:", "---:", "---"]),
+    ...offenders.map(fn => formatRow([
+      fn.name,
+      `\`${fn.kind}\``,
+      fn.count,
+      fn.max === null ? "-" : fn.max,
+      `\`${fn.file}:${fn.line}:${fn.column}\``
+    ]))
+  ];
+}
+
+/**
+ * Formats lint results as the statistics of the parameter counts of their functions.
+ * @param {Object[]} results The lint results.
+ * @param {Object} [context] The formatter context, with the working directory.
+ * @returns {Promise<string>} The statistics, as Markdown.
+ */
+module.exports = async function formatStatsMarkdown(results, context) {
+  const stats = await collectStats(results, context);
+
+  return [
+    "# Parameter counts",
+    "",
+    `${stats.all.functions} functions in ${stats.files} files.`,
+    "",
+    ...stats.skippedFiles > 0
+      ? [`${stats.skippedFiles} files were skipped: no ESLint config file was found for them. Set \`${CONFIG_VARIABLE}\` to the config file of the lint run.`, ""]
+      : [],
+    "## Suggested limits",
+    "",
+    "The limit keeping the given share of the functions of each kind valid.",
+    "",
+    ...formatLimits(stats),
+    "",
+    "## Histograms",
+    ...Object.entries(stats.kinds).flatMap(([kind, summary]) => [
+      "",
+      `### \`${kind}\``,
+      "",
+      ...formatHistogram(summary)
+    ]),
+    "",
+    "## Worst offenders",
+    "",
+    ...formatWorstOffenders(stats.worstOffenders),
+    ""
+  ].join("\n");
+};
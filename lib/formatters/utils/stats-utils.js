@@ -0,0 +1,154 @@
+const fs = require("node:fs/promises");
+const path = require("node:path");
+const { ESLint } = require("eslint");
+const analyze = require("../../analyze");
+
+const RULE_ID = "better-max-params/better-max-params";
+
+// The percentiles of the parameter counts suggested as limits
+const PERCENTILES = [50, 75, 90, 95, 99];
+
+// The number of functions listed as worst offenders
+const WORST_OFFENDERS = 10;
+
+// The environment variable holding the config file of the lint run, like its `--config`
+const CONFIG_VARIABLE = "BETTER_MAX_PARAMS_CONFIG";
+
+/**
+ * Gets the config of a linted file, from the config file named by `BETTER_MAX_PARAMS_CONFIG`
+ * or else from the one ESLint looks up in the working directory.
+ * @param {Object} result The lint result.
+ * @param {ESLint} eslint The ESLint instance to get the config of the file.
+ * @returns {Promise<Object|null|undefined>} The config of the file, `undefined` if the file
+ * isn't configured, or `null` if no config file was found.
+ */
+async function getResultConfig(result, eslint) {
+  try {
+    return await eslint.calculateConfigForFile(result.filePath);
+  } catch (error) {
+    // An explicit config file which can't be loaded is a mistake worth reporting
+    if (process.env[CONFIG_VARIABLE]) {
+      throw error;
+    }
+    return null;
+  }
+}
+
+/**
+ * Analyzes the file of a lint result, with the language options and the options of
+ * `better-max-params` configured for it.
+ * @param {Object} result The lint result.
+ * @param {Object|undefined} config The config of the file.
+ * @param {string} cwd The working directory.
+ * @returns {Promise<Object[]>} The functions of the file, with the path of the file relative to
+ * the working directory. A file which can't be parsed has no functions.
+ */
+async function analyzeResult(result, config, cwd) {
+  if (!config || result.messages.some(message => message.fatal)) {
+    return [];
+  }
+
+  const ruleEntry = config.rules && config.rules[RULE_ID];
+  const ruleOption = Array.isArray(ruleEntry) ? ruleEntry[1] : undefined;
+  const options = typeof ruleOption === "number" ? { max: ruleOption } : ruleOption || {};
+  const text = typeof result.source === "string" ? result.source : await fs.readFile(result.filePath, "utf8");
+  const file = path.relative(cwd, result.filePath).split(path.sep).join("/");
+
+  return analyze(text, { ...options, languageOptions: config.languageOptions, filename: result.filePath })
+    .map(fn => ({ ...fn, file }));
+}
+
+/**
+ * Gets the percentile of sorted parameter counts, with the nearest-rank method.
+ * @param {number[]} counts The parameter counts, in ascending order.
+ * @param {number} percentile The percentile, between 0 and 100.
+ * @returns {number} The smallest count which is greater than or equal to the given share of the counts.
+ */
+function getPercentile(counts, percentile) {
+  return counts[Math.max(Math.ceil(percentile / 100 * counts.length) - 1, 0)];
+}
+
+/**
+ * Summarizes the parameter counts of functions.
+ * @param {Object[]} functions The functions.
+ * @returns {{ functions: number, max: number, histogram: Object<string, number>, percentiles: Object<string, number> }}
+ * The number of functions, the highest count, the number of functions by count, from 0 to
+ * the highest count, and the percentiles of the counts.
+ */
+function summarize(functions) {
+  const counts = functions.map(fn => fn.count).sort((a, b) => a - b);
+  const max = counts.length > 0 ? counts.at(-1) : 0;
+  const histogram = {};
+
+  for (let count = 0; count <= max; count++) {
+    histogram[count] = 0;
+  }
+  counts.forEach(count => {
+    histogram[count]++;
+  });
+
+  return {
+    functions: counts.length,
+    max,
+    histogram,
+    percentiles: Object.fromEntries(PERCENTILES.map(percentile => [
+      `p${percentile}`,
+      counts.length > 0 ? getPercentile(counts, percentile) : 0
+    ]))
+  };
+}
+
+module.exports = {
+  PERCENTILES,
+  CONFIG_VARIABLE,
+
+  /**
+   * Collects the parameter counts of the functions of linted files: the summary of all the
+   * functions and of each kind, and the functions with the most parameters.
+   *
+   * Formatters don't receive the config of the lint run, so the config of each file is read
+   * again, from the config file named by `BETTER_MAX_PARAMS_CONFIG`, or else from the one
+   * ESLint looks up in the working directory. The files for which no config file is found are
+   * skipped.
+   * @param {Object[]} results The lint results.
+   * @param {Object} [context] The formatter context, with the working directory.
+   * @returns {Promise<Object>} The statistics.
+   */
+  async collectStats(results, context) {
+    const cwd = context && context.cwd || process.cwd();
+    const eslint = new ESLint({ cwd, overrideConfigFile: process.env[CONFIG_VARIABLE] || undefined });
+    const functions = [];
+    let skippedFiles = 0;
+
+    for (const result of results) {
+      const config = await getResultConfig(result, eslint);
+
+      if (config === null) {
+        skippedFiles++;
+      }
+      functions.push(...await analyzeResult(result, config, cwd));
+    }
+
+    const kinds = [...new Set(functions.map(fn => fn.kind))].sort();
+
+    return {
+      files: results.length,
+      skippedFiles,
+      all: summarize(functions),
+      kinds: Object.fromEntries(kinds.map(kind => [kind, summarize(functions.filter(fn => fn.kind === kind))])),
+      worstOffenders: functions
+        .filter(fn => fn.count > 0)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, WORST_OFFENDERS)
+        .map(fn => ({
+          file: fn.file,
+          line: fn.loc.start.line,
+          column: fn.loc.start.column + 1,
+          name: fn.name,
+          kind: fn.kind,
+          count: fn.count,
+          max: fn.max
+        }))
+    };
+  }
+};
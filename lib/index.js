@@ -8,7 +8,14 @@
 // Requirements
 //------------------------------------------------------------------------------
 
+const { name, version } = require("../package.json");
 const maxParams = require("./rules/better-max-params");
+const maxArguments = require("./rules/max-arguments");
+const maxComponentProps = require("./rules/max-component-props");
+const maxDependencies = require("./rules/max-dependencies");
+const noPositionalFlagParams = require("./rules/no-positional-flag-params");
+const configs = require("./configs");
+const analyze = require("./analyze");
 
 //------------------------------------------------------------------------------
 // Plugin Definition
@@ -16,11 +23,33 @@ const maxParams = require("./rules/better-max-params");
 
 
 // import all rules in lib/rules
-module.exports = {
+const plugin = {
+  meta: {
+    name,
+    version
+  },
   rules: {
-    "better-max-params": maxParams
-  }
+    "better-max-params": maxParams,
+    "max-arguments": maxArguments,
+    "max-component-props": maxComponentProps,
+    "max-dependencies": maxDependencies,
+    "no-positional-flag-params": noPositionalFlagParams
+  },
+  configs: {},
+  analyze
 };
 
-
-
+// Each config is available for flat config (`configs.recommended`) and eslintrc (`configs["legacy-recommended"]`)
+for (const [configName, rules] of Object.entries(configs)) {
+  plugin.configs[configName] = {
+    name: `better-max-params/${configName}`,
+    plugins: { "better-max-params": plugin },
+    rules
+  };
+  plugin.configs[`legacy-${configName}`] = {
+    plugins: ["better-max-params"],
+    rules
+  };
+}
+
+module.exports = plugin;
@@ -5,32 +5,126 @@
 "use strict";
 
 const astUtils = require("./utils/ast-utils");
+const { createOptionsObjectFix, createUnusedParamsFix } = require("./utils/fix-utils");
+const { BASELINE_MESSAGE_IDS, UPDATE_BASELINE_VARIABLE, getBaselineCountKey, getBaselineEntries } = require("./utils/baseline-utils");
+const { parseAllowDirective } = require("./utils/directive-utils");
+const { createOverloadTracker, getOverloads } = require("./utils/overload-utils");
+const { interpolate, upperCaseFirst } = require("./utils/string-utils");
+const {
+  FUNCTION_TYPES,
+  TIERS,
+  createParamCounter,
+  getOptionsObjectProperties,
+  getParams,
+  getPattern,
+  getPatternSize,
+  getSuperForwardedParams,
+  hasDecorator,
+  isArgument,
+  isIgnoredFile,
+  isOptionalParam
+} = require("./utils/count-utils");
 
 /**
- * Converts the first letter of a string to uppercase.
- * @param {string} string The string to operate on
- * @returns {string} The converted string
+ * Builds the report descriptor of a function which has too many parameters.
+ * @param {ASTNode} node The function node.
+ * @param {SourceCode} sourceCode The source code object to get tokens.
+ * @param {string} messageId The id of the message to report.
+ * @param {Object} data The data of the message, `name` being the name and kind of the function.
+ * @returns {Object} The report descriptor.
  */
-function upperCaseFirst(string) {
-  if (string.length <= 1) {
-    return string.toUpperCase();
-  }
-  return string[0].toUpperCase() + string.slice(1);
-}
-
-function buildError(node, name, sourceCode, constructorNumParams) {
+function buildError(node, sourceCode, messageId, data) {
   return {
     loc: astUtils.getFunctionHeadLoc(node, sourceCode),
     node,
-    messageId: "exceed",
+    messageId,
     data: {
-      name: upperCaseFirst(name),
-      count: node.params.length,
-      max: constructorNumParams
+      ...data,
+      name: upperCaseFirst(data.name)
     }
+  };
+}
+
+/**
+ * Gets the message reported for a function exceeding its limit.
+ * @param {boolean} hasForwarded Whether parameters forwarded to `super(...)` were left out of the count.
+ * @param {boolean} isCurried Whether the parameters of a curried chain were counted.
+ * @param {boolean} hasTier Whether the limit is the one of the `exported` or `internal` tier.
+ * @returns {string} The id of the message.
+ */
+function getExceedMessageId(hasForwarded, isCurried, hasTier) {
+  if (hasForwarded) {
+    return "exceedOwn";
+  }
+  if (isCurried) {
+    return "exceedCurried";
   }
+  return hasTier ? "exceedTier" : "exceed";
 }
 
+/**
+ * Gets how a parameter is shown in the `params` of a report: its name, or `{}` or `[]` if it is
+ * destructured.
+ * @param {ASTNode} param The parameter node.
+ * @returns {string} The label of the parameter.
+ */
+function getParamLabel(param) {
+  const pattern = getPattern(param);
+
+  if (pattern) {
+    return pattern.type === "ObjectPattern" ? "{}" : "[]";
+  }
+  return astUtils.getParamName(param) || "";
+}
+
+/**
+ * The kinds of function which can be given their own limit.
+ * A function uses the limit of its most specific kind (see `astUtils.getFunctionKinds`),
+ * every kind but `constructor` eventually falling back to its tier, `exported` or `internal`,
+ * and then to `func`.
+ */
+const KIND_DESCRIPTIONS = {
+  func: "functions without a more specific limit",
+  constructor: "class constructors",
+  method: "class methods and class fields holding a function",
+  staticMethod: "static class methods",
+  privateMethod: "private (`#`) class methods",
+  objectMethod: "methods of object literals",
+  arrow: "arrow functions which are not methods",
+  generator: "generator functions and methods",
+  async: "async functions, methods and arrow functions",
+  exported: "exported functions, and public members of exported classes, interfaces and objects",
+  internal: "functions which are not exported"
+};
+
+const limitProperties = Object.fromEntries(
+  Object.entries(KIND_DESCRIPTIONS).map(([kind, description]) => [kind, {
+    type: "integer",
+    description: `The maximum number of parameters allowed for ${description}`,
+    minimum: 0
+  }])
+);
+
+/*
+ * Ajv reads `data.constructor` when validating a `constructor` property, which resolves to
+ * `Object.prototype.constructor` when the option is omitted. Only own keys are matched against
+ * `patternProperties`, so the `constructor` limit is validated there instead.
+ */
+const { constructor: constructorProperty, ...kindProperties } = limitProperties;
+
+const DEFAULT_OPTION = {
+  injectionDecorators: [],
+  ignoredDecorators: [],
+  ignoreFunctions: [],
+  ignoreParams: [],
+  callbacks: {},
+  messages: {},
+  destructuredProperties: "count-as-one",
+  restParam: "count",
+  constructorSuperForwarding: "count",
+  defaultedParams: "count"
+};
+
 //------------------------------------------------------------------------------
 // Rule Definition
 //------------------------------------------------------------------------------
@@ -40,58 +134,525 @@ function buildError(node, name, sourceCode, constructorNumParams) {
  */
 module.exports = {
   meta: {
-    defaultOptions: [{ func: undefined, constructor: undefined }],
+    defaultOptions: [DEFAULT_OPTION],
     type: "suggestion", // `problem`, `suggestion`, or `layout`
     docs: {
       description: "Set a max param number for your constructors, functions, methods etc.",
       recommended: false,
       url: null, // URL to the documentation page for this rule
     },
-    fixable: null, // Or `code` or `whitespace`
+    fixable: "code",
+    hasSuggestions: true,
     schema: [{
-      oneOf: [{
-        // Only specify a limit for functions
-        type: "object",
-        properties: {
-          func: {
-            type: "integer",
-            description: "The maximum number of parameters allowed for functions",
-            minimum: 0
-          },
+      oneOf: [
+        {
+          type: "integer",
+          description: "The maximum number of parameters allowed for every function, like core `max-params`",
+          minimum: 0
         },
-        additionalProperties: false
-      }, {
-        // Specify a limit for both functions and constructors
-        type: "object",
-        properties: {
-          func: {
-            type: "integer",
-            description: "The maximum number of parameters allowed for functions",
-            minimum: 0
+        {
+          type: "object",
+          properties: {
+            ...kindProperties,
+            max: {
+              type: "integer",
+              description: "The maximum number of parameters allowed for functions without a more specific limit, including constructors, like the option of core `max-params`",
+              minimum: 0
+            },
+            maximum: {
+              type: "integer",
+              description: "Deprecated alias of `max`, like the option of core `max-params`",
+              minimum: 0
+            },
+            countVoidThis: {
+              type: "boolean",
+              description: "Whether to count a TypeScript `this` parameter of type `void`"
+            },
+            ignoreDeclarationFiles: {
+              type: "boolean",
+              description: "Whether to skip TypeScript declaration files (`.d.ts`)"
+            },
+            injectedDependencies: {
+              type: "integer",
+              description: "The maximum number of constructor parameter properties and parameters decorated with one of `injectionDecorators`. When set, they don't count towards the `constructor` limit",
+              minimum: 0
+            },
+            constructorSuperForwarding: {
+              oneOf: [
+                { enum: ["count", "ignore"], description: "Whether to count these parameters like the others" },
+                { type: "integer", minimum: 0, description: "The maximum number of these parameters, which don't count towards the `constructor` limit" }
+              ],
+              description: "How to count the constructor parameters which are only passed unchanged to `super(...)`"
+            },
+            injectionDecorators: {
+              type: "array",
+              description: "The names of the decorators marking constructor parameters as injected dependencies",
+              items: { type: "string" },
+              uniqueItems: true
+            },
+            ignoredDecorators: {
+              type: "array",
+              description: "The names of the decorators whose parameters are not counted",
+              items: { type: "string" },
+              uniqueItems: true
+            },
+            ignoreFunctions: {
+              type: "array",
+              description: "Regular expressions (`/.../flags`) or globs matching the names of the functions not to check",
+              items: { type: "string" },
+              uniqueItems: true
+            },
+            ignoreParams: {
+              type: "array",
+              description: "Regular expressions (`/.../flags`) or globs matching the names of the parameters not to count",
+              items: { type: "string" },
+              uniqueItems: true
+            },
+            ignoreOverrides: {
+              type: "boolean",
+              description: "Whether to skip class members whose signature is inherited: `override` members, members of classes which `implements` an interface, and members of a base class declared in the same file"
+            },
+            ignoreContextuallyTyped: {
+              type: "boolean",
+              description: "Whether to skip the functions whose contextual type, or the member of an implemented interface, already has as many parameters. Needs type information"
+            },
+            destructuredProperties: {
+              enum: ["count-as-one", "count-each"],
+              description: "Whether a destructured parameter counts as one parameter, or as many as the properties it destructures"
+            },
+            maxRequired: {
+              type: "integer",
+              description: "The maximum number of required parameters: the ones without a default value, `?` or `...`",
+              minimum: 0
+            },
+            maxOptional: {
+              type: "integer",
+              description: "The maximum number of optional parameters: the ones with a default value, `?` or `...`",
+              minimum: 0
+            },
+            optionsObject: {
+              type: "object",
+              description: "Limits of the properties of the type of a single options-object parameter, resolved with type information or from the interfaces and type aliases declared in the same file",
+              properties: {
+                maxRequired: {
+                  type: "integer",
+                  description: "The maximum number of required properties",
+                  minimum: 0
+                },
+                maxOptional: {
+                  type: "integer",
+                  description: "The maximum number of optional properties, declared with `?`",
+                  minimum: 0
+                }
+              },
+              additionalProperties: false
+            },
+            maxDestructuredProperties: {
+              type: "integer",
+              description: "The maximum number of properties or elements destructured by a single parameter",
+              minimum: 0
+            },
+            restParam: {
+              enum: ["count", "ignore"],
+              description: "Whether to count rest parameters"
+            },
+            defaultedParams: {
+              enum: ["count", "ignore"],
+              description: "Whether to count parameters with a default value"
+            },
+            curried: {
+              type: "boolean",
+              description: "Whether to count the parameters of the functions directly returned by a function with its own"
+            },
+            baseline: {
+              type: "string",
+              description: "The path of a JSON file, relative to the working directory, recording the existing violations not to report, by file"
+            },
+            reportUnusedBaseline: {
+              type: "boolean",
+              description: "Whether to report the entries of the baseline which no longer match a violation"
+            },
+            maxDirectiveLimit: {
+              type: "integer",
+              description: "The highest limit which a `better-max-params-allow` directive can set",
+              minimum: 0
+            },
+            callbacks: {
+              type: "object",
+              description: "Limits of the functions passed as arguments, by regular expression (`/.../flags`) or glob matching the name of the callee. `\"ignore\"` skips these functions",
+              additionalProperties: {
+                oneOf: [
+                  { type: "integer", minimum: 0 },
+                  { enum: ["ignore"] }
+                ]
+              }
+            },
+            messages: {
+              type: "object",
+              description: "Custom messages and remediation hints of the functions exceeding their limit, by kind or tier. Templates can use `{{name}}`, `{{count}}`, `{{max}}`, `{{kind}}` and `{{params}}`",
+              propertyNames: { enum: Object.keys(KIND_DESCRIPTIONS) },
+              additionalProperties: {
+                type: "object",
+                properties: {
+                  message: { type: "string", minLength: 1 },
+                  hint: { type: "string", minLength: 1 }
+                },
+                additionalProperties: false
+              }
+            }
           },
-          constructor: {
-            type: "integer",
-            description: "The maximum number of parameters allowed for constructors",
-            minimum: 0,
-          }
-        },
-        additionalProperties: false
-      }]
+          patternProperties: {
+            "^constructor$": constructorProperty
+          },
+          additionalProperties: false
+        }
+      ]
     }],
     messages: {
-      exceed: "{{name}} has too many parameters ({{count}}). Maximum allowed is {{max}}."
+      exceedCustom: "{{message}}",
+      exceed: "{{name}} has too many parameters ({{count}}). Maximum allowed is {{max}}.",
+      exceedCurried: "{{name}} has too many parameters across {{depth}} curried functions ({{count}}). Maximum allowed is {{max}}.",
+      exceedTier: "{{name}} has too many parameters ({{count}}). Maximum allowed for {{tier}} functions is {{max}}.",
+      exceedPlain: "{{name}} has too many parameters besides injected dependencies ({{count}}). Maximum allowed is {{max}}.",
+      exceedOwn: "{{name}} has too many own parameters ({{count}}), besides {{forwarded}} forwarded to super(). Maximum allowed is {{max}}.",
+      exceedForwarded: "{{name}} forwards too many parameters to super() ({{forwarded}}), besides {{count}} own. Maximum allowed is {{max}}.",
+      exceedInjected: "{{name}} has too many injected dependencies ({{count}}). Maximum allowed is {{max}}.",
+      exceedRequired: "{{name}} has too many required parameters ({{count}}). Maximum allowed is {{max}}.",
+      exceedOptional: "{{name}} has too many optional parameters ({{count}}). Maximum allowed is {{max}}.",
+      exceedOptionsRequired: "{{name}} takes an options object with too many required properties ({{count}}). Maximum allowed is {{max}}.",
+      exceedOptionsOptional: "{{name}} takes an options object with too many optional properties ({{count}}). Maximum allowed is {{max}}.",
+      exceedDestructured: "{{name}} destructures too many properties ({{count}}) from a parameter. Maximum allowed is {{max}}.",
+      useOptionsObject: "Move the last {{count}} parameters into an options object.",
+      unusedBaseline: "The baseline entry of {{name}} with {{count}} parameters is no longer needed.",
+      directiveWithoutLimit: "The better-max-params-allow directive needs a limit, like `better-max-params-allow 5 -- reason`.",
+      directiveWithoutReason: "The better-max-params-allow directive needs a reason after `--`.",
+      directiveOverMax: "The better-max-params-allow directive allows too many parameters ({{limit}}). Maximum allowed is {{max}}.",
+      directiveTooHigh: "The better-max-params-allow directive allows {{limit}} parameters, but {{name}} has {{count}}.",
+      directiveNotAboveMax: "The better-max-params-allow directive allows {{limit}} parameters, which doesn't raise the limit of {{name}} ({{max}}).",
+      unusedDirective: "Unused better-max-params-allow directive: no function after it exceeds its limit."
     }
   },
 
   create(context) {
     const sourceCode = context.sourceCode;
-    const option = context.options[0];
-    let funcNumParams;
-    let constructorNumParams;
+    const option = typeof context.options[0] === "number"
+      ? { ...DEFAULT_OPTION, max: context.options[0] }
+      : context.options[0];
+    const isOverloadReported = createOverloadTracker();
+    const { countParams, getParamWeight, measureFunction } = createParamCounter(option, sourceCode);
+
+    if (isIgnoredFile(option, context.filename)) {
+      return {};
+    }
+
+    const baselineEntries = option.baseline && !process.env[UPDATE_BASELINE_VARIABLE]
+      ? getBaselineEntries(option.baseline, context.filename, context.cwd)
+      : [];
+    const usedBaselineEntries = new Set();
+    const allowDirectives = new Map(sourceCode.getAllComments()
+      .map(parseAllowDirective)
+      .filter(Boolean)
+      .map(directive => [directive.comment, directive]));
+    const usedAllowDirectives = new Set();
+    const reportedAllowDirectives = new Set();
+
+    /**
+     * Reports the `better-max-params-allow` directives without a limit or a reason, or with a
+     * limit higher than `maxDirectiveLimit`.
+     * @returns {void}
+     */
+    function checkAllowDirectives() {
+      allowDirectives.forEach(({ comment, limit, reason }) => {
+        if (limit === null) {
+          context.report({ loc: comment.loc, messageId: "directiveWithoutLimit" });
+          return;
+        }
+        if (reason === null) {
+          context.report({ loc: comment.loc, messageId: "directiveWithoutReason" });
+        }
+        if (typeof option.maxDirectiveLimit === "number" && limit > option.maxDirectiveLimit) {
+          context.report({ loc: comment.loc, messageId: "directiveOverMax", data: { limit, max: option.maxDirectiveLimit } });
+        }
+      });
+    }
+
+    /**
+     * Reports the `better-max-params-allow` directives which didn't raise the limit of a function.
+     * @returns {void}
+     */
+    function reportUnusedAllowDirectives() {
+      allowDirectives.forEach(directive => {
+        if (directive.limit !== null && !usedAllowDirectives.has(directive)) {
+          context.report({ loc: directive.comment.loc, messageId: "unusedDirective" });
+        }
+      });
+    }
+
+    /**
+     * Reports a `better-max-params-allow` directive once, even if it covers several overloads.
+     * @param {Object} directive The directive.
+     * @param {string} messageId The id of the message.
+     * @param {Object} data The data of the message.
+     * @returns {void}
+     */
+    function reportAllowDirective(directive, messageId, data) {
+      if (!reportedAllowDirectives.has(directive)) {
+        reportedAllowDirectives.add(directive);
+        context.report({ loc: directive.comment.loc, messageId, data });
+      }
+    }
+
+    /**
+     * Gets the limit of a function, raised by the `better-max-params-allow` directive placed
+     * before it, or before the first declaration of its overload set. The directive is used
+     * if the widest signature of the set exceeds the configured limit, and reported if it
+     * doesn't raise the limit or allows more parameters than the widest signature has.
+     * @param {ASTNode} node The function node.
+     * @param {number|undefined} max The configured limit.
+     * @param {number} count The number of parameters checked against the limit.
+     * @returns {number|undefined} The limit of the function.
+     */
+    function getLimit(node, max, count) {
+      const overloads = getOverloads(node);
+      const directive = [node, overloads[0]]
+        .map(declaration => sourceCode.getCommentsBefore(astUtils.getDeclarationNode(declaration))
+          .map(comment => allowDirectives.get(comment))
+          .findLast(Boolean))
+        .find(Boolean);
+
+      if (!directive || directive.limit === null || max === undefined) {
+        return max;
+      }
+
+      const setCount = Math.max(count, ...overloads
+        .filter(overload => overload !== node)
+        .map(overload => {
+          const measure = measureFunction(overload);
+
+          return measure ? splitParams(overload, measure).limitedCount : 0;
+        }));
+
+      if (setCount <= max) {
+        return max;
+      }
+
+      const name = astUtils.getFunctionNameWithKind(node);
+
+      usedAllowDirectives.add(directive);
+      if (directive.limit <= max) {
+        reportAllowDirective(directive, "directiveNotAboveMax", { limit: directive.limit, name, max });
+        return max;
+      }
+      if (directive.limit > setCount) {
+        reportAllowDirective(directive, "directiveTooHigh", { limit: directive.limit, name, count: setCount });
+      }
+      return directive.limit;
+    }
+
+    /**
+     * Checks whether a violation is recorded in the baseline with at least as many parameters,
+     * and marks the matching entry as used.
+     * @param {Object} error The report descriptor.
+     * @returns {boolean} `true` if the violation is suppressed by the baseline.
+     */
+    function isInBaseline(error) {
+      if (!BASELINE_MESSAGE_IDS.includes(error.messageId)) {
+        return false;
+      }
+
+      const [entry] = baselineEntries
+        .filter(candidate =>
+          !usedBaselineEntries.has(candidate) &&
+          candidate.name === error.data.name &&
+          candidate.count >= error.data[getBaselineCountKey(error.messageId)])
+        .sort((a, b) => a.count - b.count);
+
+      if (entry) {
+        usedBaselineEntries.add(entry);
+      }
+      return Boolean(entry);
+    }
+
+    /**
+     * Reports the entries of the baseline which didn't suppress any violation of the file.
+     * @returns {void}
+     */
+    function reportUnusedBaseline() {
+      baselineEntries
+        .filter(entry => !usedBaselineEntries.has(entry))
+        .forEach(entry => {
+          context.report({
+            loc: { line: 1, column: 0 },
+            messageId: "unusedBaseline",
+            data: { name: entry.name, count: entry.count }
+          });
+        });
+    }
+
+    /**
+     * Replaces the message of a function exceeding its limit with the custom message and hint
+     * configured for its most specific kind or tier, if any.
+     * @param {Object} error The report descriptor.
+     * @param {string[]} limitKeys The kinds and tier of the function, by priority.
+     * @returns {Object} The report descriptor, with the `exceedCustom` message if customized.
+     */
+    function customizeError(error, limitKeys) {
+      const key = limitKeys.find(limitKey => Object.hasOwn(option.messages, limitKey));
+
+      if (!key) {
+        return error;
+      }
+
+      const custom = option.messages[key];
+      const template = custom.message || module.exports.meta.messages[error.messageId];
+      const message = interpolate(template, error.data);
+
+      return {
+        ...error,
+        messageId: "exceedCustom",
+        data: {
+          ...error.data,
+          hint: custom.hint || null,
+          message: custom.hint ? `${message} ${interpolate(custom.hint, error.data)}` : message
+        }
+      };
+    }
+
+    /**
+     * Checks the required and the optional parameters against the `maxRequired` and
+     * `maxOptional` limits.
+     * @param {ASTNode} node The function node.
+     * @param {ASTNode[]} params The counted parameters.
+     * @returns {Object[]} The report descriptors.
+     */
+    function checkRequiredAndOptional(node, params) {
+      const name = astUtils.getFunctionNameWithKind(node);
+      const optionalCount = countParams(params.filter(isOptionalParam));
+      const requiredCount = countParams(params) - optionalCount;
+      const errors = [];
+
+      if (typeof option.maxRequired === "number" && requiredCount > option.maxRequired) {
+        errors.push(buildError(node, sourceCode, "exceedRequired", { name, count: requiredCount, max: option.maxRequired }));
+      }
+      if (typeof option.maxOptional === "number" && optionalCount > option.maxOptional) {
+        errors.push(buildError(node, sourceCode, "exceedOptional", { name, count: optionalCount, max: option.maxOptional }));
+      }
+      return errors;
+    }
+
+    /**
+     * Checks the properties of the type of the single parameter of a function against the
+     * `optionsObject` limits.
+     * @param {ASTNode} node The function node.
+     * @returns {Object[]} The report descriptors, located at the parameter.
+     */
+    function checkOptionsObject(node) {
+      const { maxRequired, maxOptional } = option.optionsObject || {};
+      const [param, ...others] = getParams(node);
+
+      if (!param || others.length > 0 || typeof maxRequired !== "number" && typeof maxOptional !== "number") {
+        return [];
+      }
+
+      const properties = getOptionsObjectProperties(param, sourceCode);
+
+      if (!properties) {
+        return [];
+      }
+
+      const name = upperCaseFirst(astUtils.getFunctionNameWithKind(node));
+      const errors = [];
+
+      if (typeof maxRequired === "number" && properties.required > maxRequired) {
+        errors.push({ node: param, messageId: "exceedOptionsRequired", data: { name, count: properties.required, max: maxRequired } });
+      }
+      if (typeof maxOptional === "number" && properties.optional > maxOptional) {
+        errors.push({ node: param, messageId: "exceedOptionsOptional", data: { name, count: properties.optional, max: maxOptional } });
+      }
+      return errors;
+    }
+
+    /**
+     * Checks the destructuring patterns of parameters against the `maxDestructuredProperties` limit.
+     * @param {ASTNode} node The function node.
+     * @param {ASTNode[]} params The counted parameters.
+     * @returns {Object[]} The report descriptors, located at the patterns.
+     */
+    function checkDestructuredProperties(node, params) {
+      const max = option.maxDestructuredProperties;
 
-    if (option) {
-      if (option.func) funcNumParams = option.func;
-      if (option.constructor) constructorNumParams = option.constructor;
+      if (max === undefined) {
+        return [];
+      }
+
+      const name = upperCaseFirst(astUtils.getFunctionNameWithKind(node));
+
+      return params
+        .map(getPattern)
+        .filter(pattern => pattern && getPatternSize(pattern) > max)
+        .map(pattern => ({
+          node: pattern,
+          messageId: "exceedDestructured",
+          data: { name, count: getPatternSize(pattern), max }
+        }));
+    }
+
+    /**
+     * Checks whether a constructor parameter is an injected dependency.
+     * @param {ASTNode} param The parameter node.
+     * @returns {boolean} `true` if the parameter is a parameter property or has an injection decorator.
+     */
+    function isInjected(param) {
+      return param.type === "TSParameterProperty" || hasDecorator(param, option.injectionDecorators);
+    }
+
+    /**
+     * Checks the parameters of a constructor against both the `constructor` and the
+     * `injectedDependencies` limits.
+     * @param {ASTNode} node The constructor node.
+     * @param {ASTNode[]} params The counted parameters.
+     * @param {number} total The number of parameters, including the ones which aren't counted.
+     * @param {number|undefined} max The limit of the parameters which aren't injected.
+     * @returns {Object[]} The report descriptors.
+     */
+    function checkInjectedDependencies(node, params, total, max) {
+      const name = astUtils.getFunctionNameWithKind(node);
+      const strategy = option.destructuredProperties;
+      const injectedCount = countParams(params.filter(isInjected));
+      const plainCount = countParams(params) - injectedCount;
+      const errors = [];
+
+      if (max !== undefined && plainCount > max) {
+        errors.push(buildError(node, sourceCode, "exceedPlain", { name, count: plainCount, total, max, strategy }));
+      }
+      if (injectedCount > option.injectedDependencies) {
+        errors.push(buildError(node, sourceCode, "exceedInjected", { name, count: injectedCount, total, max: option.injectedDependencies, strategy }));
+      }
+      return errors;
+    }
+
+    /**
+     * Splits the counted parameters of a function into the ones forwarded to `super(...)`,
+     * when `constructorSuperForwarding` leaves them out, and its own ones, and counts the own
+     * parameters checked against the limit: the ones which aren't injected, for constructors
+     * with `injectedDependencies`.
+     * @param {ASTNode} node The function node.
+     * @param {Object} measure The measure of the function.
+     * @returns {{ forwarded: ASTNode[], params: ASTNode[], count: number, splitsInjected: boolean, limitedCount: number }}
+     * The forwarded and own parameters, the count of the own parameters, whether the injected
+     * ones are limited apart, and the count checked against the limit.
+     */
+    function splitParams(node, measure) {
+      const isConstructor = astUtils.getFunctionKinds(node)[0] === "constructor";
+      const forwarded = isConstructor && option.constructorSuperForwarding !== "count"
+        ? getSuperForwardedParams(node, measure.params, sourceCode)
+        : [];
+      const params = measure.params.filter(param => !forwarded.includes(param));
+      const count = countParams(params);
+      const splitsInjected = isConstructor && typeof option.injectedDependencies === "number";
+      const limitedCount = splitsInjected ? count - countParams(params.filter(isInjected)) : count;
+
+      return { forwarded, params, count, splitsInjected, limitedCount };
     }
 
     /**
@@ -101,20 +662,94 @@ module.exports = {
      * @private
      */
     function checkFunction(node) {
-      const name = astUtils.getFunctionNameWithKind(node);
-      if (name === 'constructor') {
-        if (node.params.length > constructorNumParams) {
-          context.report(buildError(node, name, sourceCode, constructorNumParams));
-        }
-      } else if (node.params.length > funcNumParams) {
-        context.report(buildError(node, name, sourceCode, funcNumParams));
+      const measure = measureFunction(node);
+
+      if (!measure) {
+        return;
+      }
+
+      const { chain, allParams, total } = measure;
+      const kind = astUtils.getFunctionKinds(node)[0];
+      const { forwarded, params, count, splitsInjected, limitedCount } = splitParams(node, measure);
+      const forwardedCount = countParams(forwarded);
+      const max = getLimit(node, measure.max, limitedCount);
+      const errors = [];
+
+      /**
+       * Applies the custom message of the function to a report on its parameters, with the
+       * placeholders of the main report.
+       * @param {Object} error The report descriptor.
+       * @returns {Object} The report descriptor, customized if configured.
+       */
+      const customize = error => customizeError({
+        ...error,
+        data: { kind, params: allParams.map(getParamLabel).join(", "), ...error.data }
+      }, measure.limitKeys);
+
+      if (splitsInjected) {
+        errors.push(...checkInjectedDependencies(node, params, total, max).map(customize));
+      } else if (max !== undefined && count > max) {
+        const name = astUtils.getFunctionNameWithKind(node);
+        const isOwnSignature = !isArgument(node) && !astUtils.isOverridingMethod(node, sourceCode);
+        const hasCountedThis = astUtils.getParamName(allParams[0]) === "this";
+        const countsEachAsOne = params.length === total && params.every(param => getParamWeight(param) === 1);
+        const canRewrite = isOwnSignature && chain.length === 1 && !hasCountedThis && countsEachAsOne;
+        const fix = canRewrite && createOptionsObjectFix(node, allParams, max - 1, sourceCode);
+        const removeUnused = canRewrite && createUnusedParamsFix(node, allParams, max, sourceCode);
+
+        const tier = max === measure.max && TIERS.includes(measure.limitKey) ? measure.limitKey : null;
+        const messageId = getExceedMessageId(forwarded.length > 0, chain.length > 1, tier !== null);
+
+        const error = buildError(node, sourceCode, messageId, {
+          name,
+          count,
+          total,
+          max,
+          tier,
+          depth: chain.length,
+          forwarded: forwardedCount,
+          kind,
+          params: allParams.map(getParamLabel).join(", "),
+          strategy: option.destructuredProperties
+        });
+
+        errors.push({
+          ...customizeError(error, measure.limitKeys),
+          fix: removeUnused || null,
+          suggest: fix ? [{ messageId: "useOptionsObject", data: { count: total - max + 1 }, fix }] : []
+        });
+      }
+
+      if (typeof option.constructorSuperForwarding === "number" && forwardedCount > option.constructorSuperForwarding) {
+        errors.push(buildError(node, sourceCode, "exceedForwarded", {
+          name: astUtils.getFunctionNameWithKind(node),
+          count,
+          forwarded: forwardedCount,
+          max: option.constructorSuperForwarding
+        }));
+      }
+      errors.push(...checkRequiredAndOptional(node, params).map(customize));
+      errors.push(...checkDestructuredProperties(node, params));
+      if (chain.length === 1) {
+        errors.push(...checkOptionsObject(node));
+      }
+
+      if (errors.length > 0 && !isOverloadReported(node)) {
+        errors
+          .filter(error => !isInBaseline(error))
+          .forEach(error => context.report(error));
       }
     }
 
     return {
-      FunctionDeclaration: checkFunction,
-      ArrowFunctionExpression: checkFunction,
-      FunctionExpression: checkFunction
+      ...Object.fromEntries(FUNCTION_TYPES.map(type => [type, checkFunction])),
+      Program: checkAllowDirectives,
+      "Program:exit"() {
+        reportUnusedAllowDirectives();
+        if (option.reportUnusedBaseline) {
+          reportUnusedBaseline();
+        }
+      }
     };
   },
 };
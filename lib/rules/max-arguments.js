@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Set a max argument number for your calls and `new` expressions.
+ * @author GP4cK
+ */
+"use strict";
+
+const astUtils = require("./utils/ast-utils");
+const { createMatcher } = require("./utils/pattern-utils");
+const { upperCaseFirst } = require("./utils/string-utils");
+
+/**
+ * The kinds of call which can be given their own limit.
+ * A call uses the limit of its most specific kind (see `astUtils.getCallKinds`),
+ * every kind eventually falling back to `call`.
+ */
+const KIND_DESCRIPTIONS = {
+  call: "calls without a more specific limit",
+  method: "calls of a member, like `app.use()`",
+  new: "`new` expressions",
+  super: "`super()` calls in constructors"
+};
+
+const kindProperties = Object.fromEntries(
+  Object.entries(KIND_DESCRIPTIONS).map(([kind, description]) => [kind, {
+    type: "integer",
+    description: `The maximum number of arguments allowed for ${description}`,
+    minimum: 0
+  }])
+);
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+/**
+ * @type {import('eslint').Rule.RuleModule}
+ */
+module.exports = {
+  meta: {
+    defaultOptions: [{ ignoreCallees: [], spreadArguments: "count-as-one" }],
+    type: "suggestion",
+    docs: {
+      description: "Set a max argument number for your calls and `new` expressions.",
+      recommended: false,
+      url: null,
+    },
+    fixable: null,
+    schema: [{
+      type: "object",
+      properties: {
+        ...kindProperties,
+        ignoreCallees: {
+          type: "array",
+          description: "Regular expressions (`/.../flags`) or globs matching the names of the callees not to check",
+          items: { type: "string" },
+          uniqueItems: true
+        },
+        spreadArguments: {
+          enum: ["count-as-one", "ignore"],
+          description: "Whether a spread argument counts as one argument or isn't counted"
+        }
+      },
+      additionalProperties: false
+    }],
+    messages: {
+      exceed: "{{name}} has too many arguments ({{count}}). Maximum allowed is {{max}}."
+    }
+  },
+
+  create(context) {
+    const [option] = context.options;
+    const isIgnoredCallee = createMatcher(option.ignoreCallees);
+
+    /**
+     * Gets the limit configured for the most specific kind of the given call.
+     * @param {ASTNode} node The call node.
+     * @returns {number|undefined} The limit, or `undefined` if none applies.
+     */
+    function getMaxArguments(node) {
+      const kind = astUtils.getCallKinds(node).find(key => typeof option[key] === "number");
+
+      return kind && option[kind];
+    }
+
+    /**
+     * Checks a call to see if it has too many arguments.
+     * @param {ASTNode} node The node to check.
+     * @returns {void}
+     * @private
+     */
+    function checkCall(node) {
+      const max = getMaxArguments(node);
+
+      if (max === undefined || isIgnoredCallee(astUtils.getStaticCalleeName(node.callee))) {
+        return;
+      }
+
+      const args = option.spreadArguments === "ignore"
+        ? node.arguments.filter(arg => arg.type !== "SpreadElement")
+        : node.arguments;
+
+      if (args.length > max) {
+        context.report({
+          loc: astUtils.getCallHeadLoc(node),
+          node,
+          messageId: "exceed",
+          data: {
+            name: upperCaseFirst(astUtils.getCallNameWithKind(node)),
+            count: args.length,
+            max
+          }
+        });
+      }
+    }
+
+    return {
+      CallExpression: checkCall,
+      NewExpression: checkCall
+    };
+  },
+};
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Set a max prop number for your React function components.
+ * @author GP4cK
+ */
+"use strict";
+
+const astUtils = require("./utils/ast-utils");
+
+// The functions which wrap a component, keeping its props
+const COMPONENT_WRAPPERS = new Set(["memo", "forwardRef", "React.memo", "React.forwardRef"]);
+
+// The types of a component held by a variable, like `const Card: FC<CardProps> = ...`
+const COMPONENT_TYPES = new Set(["FC", "FunctionComponent", "React.FC", "React.FunctionComponent"]);
+
+const FUNCTION_TYPES = new Set(["FunctionDeclaration", "FunctionExpression", "ArrowFunctionExpression"]);
+
+/**
+ * Checks whether the given node is a call of `memo` or `forwardRef` wrapping the given argument.
+ * @param {ASTNode} node The node to check.
+ * @param {ASTNode} argument The wrapped node.
+ * @returns {boolean} `true` if the node is a wrapper call.
+ */
+function isWrapperCall(node, argument) {
+  return node.type === "CallExpression" &&
+    node.arguments[0] === argument &&
+    COMPONENT_WRAPPERS.has(astUtils.getStaticCalleeName(node.callee));
+}
+
+/**
+ * Gets the outermost wrapper call of a function, through nested wrappers like
+ * `memo(forwardRef(...))`.
+ * @param {ASTNode} node The function node.
+ * @returns {ASTNode|null} The wrapper call, or `null` if the function isn't wrapped.
+ */
+function getWrapperCall(node) {
+  let wrapper = null;
+
+  for (let current = node; isWrapperCall(current.parent, current); current = current.parent) {
+    wrapper = current.parent;
+  }
+  return wrapper;
+}
+
+/**
+ * Gets the variable declarator holding the given function, possibly through wrapper calls.
+ * @param {ASTNode} node The function node.
+ * @returns {ASTNode|null} The `VariableDeclarator` node, or `null` if there is none.
+ */
+function getDeclarator(node) {
+  const expression = getWrapperCall(node) || node;
+  const parent = expression.parent;
+
+  return parent.type === "VariableDeclarator" && parent.init === expression && parent.id.type === "Identifier"
+    ? parent
+    : null;
+}
+
+/**
+ * Checks whether an expression evaluates to JSX, possibly through a condition.
+ *
+ * - `<Card />`, `<></>`  ............ `true`
+ * - `open ? <Card /> : null`  ...... `true`
+ * - `open && <Card />`  ............ `true`
+ * - `createElement(Card)`  ......... `false`
+ * @param {ASTNode} node The expression node.
+ * @returns {boolean} `true` if the expression is JSX.
+ */
+function isJsx(node) {
+  switch (node.type) {
+    case "JSXElement":
+    case "JSXFragment":
+      return true;
+    case "ConditionalExpression":
+      return isJsx(node.consequent) || isJsx(node.alternate);
+    case "LogicalExpression":
+      return isJsx(node.left) || isJsx(node.right);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Checks whether a function returns JSX, ignoring the returns of nested functions.
+ * @param {ASTNode} node The function node.
+ * @param {Object} visitorKeys The visitor keys to traverse the body.
+ * @returns {boolean} `true` if the function returns JSX.
+ */
+function returnsJsx(node, visitorKeys) {
+  if (node.body.type !== "BlockStatement") {
+    return isJsx(node.body);
+  }
+
+  const stack = [node.body];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+
+    if (current.type === "ReturnStatement" && current.argument && isJsx(current.argument)) {
+      return true;
+    }
+    if (!FUNCTION_TYPES.has(current.type)) {
+      (visitorKeys[current.type] || [])
+        .flatMap(key => current[key])
+        .filter(child => child && typeof child.type === "string")
+        .forEach(child => stack.push(child));
+    }
+  }
+  return false;
+}
+
+/**
+ * Gets the dotted name of a type reference.
+ *
+ * - `FC<Props>`  ........... `"FC"`
+ * - `React.FC<Props>`  ..... `"React.FC"`
+ * @param {ASTNode} node The `Identifier` or `TSQualifiedName` node of the reference.
+ * @returns {string} The name of the type.
+ */
+function getTypeName(node) {
+  return node.type === "TSQualifiedName" ? `${getTypeName(node.left)}.${node.right.name}` : node.name;
+}
+
+/**
+ * Gets the type of the props of a component: the annotation of its first parameter, or the
+ * type argument of the `FC` annotation of its variable.
+ *
+ * - `function Card({ title }: CardProps) {}`  .......... `CardProps`
+ * - `const Card: FC<CardProps> = ({ title }) => {}`  ... `CardProps`
+ * @param {ASTNode} node The function node.
+ * @param {ASTNode|undefined} props The first parameter, without its default value.
+ * @returns {ASTNode|null} The type node, or `null` if the props aren't annotated.
+ */
+function getPropsType(node, props) {
+  if (props && props.typeAnnotation) {
+    return props.typeAnnotation.typeAnnotation;
+  }
+
+  const declarator = getDeclarator(node);
+  const annotation = declarator && declarator.id.typeAnnotation && declarator.id.typeAnnotation.typeAnnotation;
+
+  if (
+    annotation &&
+    annotation.type === "TSTypeReference" &&
+    annotation.typeArguments &&
+    COMPONENT_TYPES.has(getTypeName(annotation.typeName))
+  ) {
+    return annotation.typeArguments.params[0];
+  }
+  return null;
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+/**
+ * @type {import('eslint').Rule.RuleModule}
+ */
+module.exports = {
+  meta: {
+    defaultOptions: [{ componentProps: 8 }],
+    type: "suggestion",
+    docs: {
+      description: "Set a max prop number for your React function components.",
+      recommended: false,
+      url: null,
+    },
+    fixable: null,
+    schema: [{
+      type: "object",
+      properties: {
+        componentProps: {
+          type: "integer",
+          description: "The maximum number of props of a function component",
+          minimum: 0
+        }
+      },
+      additionalProperties: false
+    }],
+    messages: {
+      exceed: "{{name}} has too many props ({{count}}). Maximum allowed is {{max}}."
+    }
+  },
+
+  create(context) {
+    const sourceCode = context.sourceCode;
+    const [{ componentProps: max }] = context.options;
+
+    /**
+     * Gets the name of a component, from the function or the variable holding its wrapper.
+     * @param {ASTNode} node The function node.
+     * @returns {string|null} The name of the component, or `null` if it is anonymous.
+     */
+    function getComponentName(node) {
+      const declarator = getDeclarator(node);
+
+      return astUtils.getFunctionName(node) || declarator && declarator.id.name;
+    }
+
+    /**
+     * Checks whether a function is a component: it is wrapped by `memo` or `forwardRef`, or it
+     * has a capitalized name and returns JSX.
+     * @param {ASTNode} node The function node.
+     * @returns {boolean} `true` if the function is a component.
+     */
+    function isComponent(node) {
+      if (getWrapperCall(node)) {
+        return true;
+      }
+
+      const name = getComponentName(node);
+
+      return name !== null && /^[A-Z]/u.test(name) && returnsJsx(node, sourceCode.visitorKeys);
+    }
+
+    /**
+     * Counts the props of a component, from the type of its props when it can be resolved,
+     * or else from the destructuring pattern of its first parameter.
+     * @param {ASTNode} node The function node.
+     * @returns {number|null} The number of props, or `null` if they can't be counted.
+     */
+    function countProps(node) {
+      const [first] = node.params;
+      const props = first && first.type === "AssignmentPattern" ? first.left : first;
+      const type = getPropsType(node, props);
+      const members = type && astUtils.getTypeMembers(type, sourceCode);
+
+      if (members) {
+        return members.length;
+      }
+      if (props && props.type === "ObjectPattern") {
+        return props.properties.length;
+      }
+      return null;
+    }
+
+    /**
+     * Checks a function to see if it is a component with too many props.
+     * @param {ASTNode} node The node to check.
+     * @returns {void}
+     * @private
+     */
+    function checkFunction(node) {
+      if (!isComponent(node)) {
+        return;
+      }
+
+      const count = countProps(node);
+
+      if (count !== null && count > max) {
+        const name = getComponentName(node);
+
+        context.report({
+          loc: astUtils.getFunctionHeadLoc(node, sourceCode),
+          node,
+          messageId: "exceed",
+          data: {
+            name: name ? `Component '${name}'` : "Component",
+            count,
+            max
+          }
+        });
+      }
+    }
+
+    return {
+      FunctionDeclaration: checkFunction,
+      ArrowFunctionExpression: checkFunction,
+      FunctionExpression: checkFunction
+    };
+  },
+};
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Set a max dependency number for your classes, injected through their constructor or `inject()` fields.
+ * @author GP4cK
+ */
+"use strict";
+
+const astUtils = require("./utils/ast-utils");
+const { getParams, getPattern } = require("./utils/count-utils");
+const { createMatcher } = require("./utils/pattern-utils");
+
+/**
+ * Gets how a constructor parameter is listed among the dependencies: its name, or `{}` or `[]`
+ * if it is destructured.
+ * @param {ASTNode} param The parameter node.
+ * @returns {string} The name of the dependency.
+ */
+function getParamDependencyName(param) {
+  const pattern = getPattern(param);
+
+  if (pattern) {
+    return pattern.type === "ObjectPattern" ? "{}" : "[]";
+  }
+  return astUtils.getParamName(param) || "";
+}
+
+/**
+ * Gets how a field is listed among the dependencies: its name, with `#` for a private field, or
+ * the text of its computed key.
+ * @param {ASTNode} field The `PropertyDefinition` node.
+ * @param {SourceCode} sourceCode The source code object to get the text.
+ * @returns {string} The name of the dependency.
+ */
+function getFieldDependencyName(field, sourceCode) {
+  if (field.key.type === "PrivateIdentifier") {
+    return `#${field.key.name}`;
+  }
+
+  const name = astUtils.getStaticPropertyName(field);
+
+  return name === null ? `[${sourceCode.getText(field.key)}]` : name;
+}
+
+/**
+ * Gets the location of the head of a class for reporting: the `class` keyword and the name.
+ *
+ * - `@Component() export class Foo extends Bar {}`
+ *                        ^^^^^^^^^
+ * - `const Foo = class {}`
+ *                ^^^^^
+ * @param {ASTNode} node The class node.
+ * @param {SourceCode} sourceCode The source code object to get tokens.
+ * @returns {SourceLocation} The location of the head.
+ */
+function getClassHeadLoc(node, sourceCode) {
+  const classToken = sourceCode.getFirstToken(node, token => token.type === "Keyword" && token.value === "class");
+
+  return {
+    start: classToken.loc.start,
+    end: (node.id || classToken).loc.end
+  };
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+/**
+ * @type {import('eslint').Rule.RuleModule}
+ */
+module.exports = {
+  meta: {
+    defaultOptions: [{ dependencies: 8, injectors: ["inject"] }],
+    type: "suggestion",
+    docs: {
+      description: "Set a max dependency number for your classes, injected through their constructor or `inject()` fields.",
+      recommended: false,
+      url: null,
+    },
+    fixable: null,
+    schema: [{
+      type: "object",
+      properties: {
+        dependencies: {
+          type: "integer",
+          description: "The maximum number of dependencies of a class: the parameters of its constructor and its fields initialized by an injector call",
+          minimum: 0
+        },
+        injectors: {
+          type: "array",
+          description: "Regular expressions (`/.../flags`) or globs matching the names of the functions which inject a dependency, like `inject` or `container.resolve`",
+          items: { type: "string" },
+          uniqueItems: true
+        }
+      },
+      additionalProperties: false
+    }],
+    messages: {
+      exceed: "{{name}} has too many dependencies ({{count}}): {{dependencies}}. Maximum allowed is {{max}}."
+    }
+  },
+
+  create(context) {
+    const sourceCode = context.sourceCode;
+    const [{ dependencies: max, injectors }] = context.options;
+    const isInjector = createMatcher(injectors);
+
+    /**
+     * Checks whether a class member is an instance field initialized by an injector call,
+     * like `private http = inject(HttpClient)`.
+     * @param {ASTNode} member The class member node.
+     * @returns {boolean} `true` if the field injects a dependency.
+     */
+    function isInjectedField(member) {
+      if (member.type !== "PropertyDefinition" || member.static || !member.value) {
+        return false;
+      }
+
+      const value = member.value.type === "TSNonNullExpression" ? member.value.expression : member.value;
+
+      return value.type === "CallExpression" && isInjector(astUtils.getStaticCalleeName(value.callee));
+    }
+
+    /**
+     * Checks a class to see if it has too many dependencies.
+     * @param {ASTNode} node The node to check.
+     * @returns {void}
+     * @private
+     */
+    function checkClass(node) {
+      const members = node.body.body;
+      const constructors = members.filter(member => member.type === "MethodDefinition" && member.kind === "constructor");
+
+      // With TypeScript overloads, the implementation lists the parameters
+      const constructor = constructors.find(member => member.value.body) || constructors[0];
+      const dependencies = [
+        ...(constructor ? getParams(constructor.value).map(getParamDependencyName) : []),
+        ...members.filter(isInjectedField).map(field => getFieldDependencyName(field, sourceCode))
+      ];
+
+      if (dependencies.length > max) {
+        context.report({
+          loc: getClassHeadLoc(node, sourceCode),
+          node,
+          messageId: "exceed",
+          data: {
+            name: node.id ? `Class '${node.id.name}'` : "Class",
+            count: dependencies.length,
+            dependencies: dependencies.join(", "),
+            max
+          }
+        });
+      }
+    }
+
+    return {
+      ClassDeclaration: checkClass,
+      ClassExpression: checkClass
+    };
+  },
+};
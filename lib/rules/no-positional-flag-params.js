@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Disallow boolean traps and runs of same-typed positional parameters.
+ * @author GP4cK
+ */
+"use strict";
+
+const astUtils = require("./utils/ast-utils");
+const { FUNCTION_TYPES, getParams } = require("./utils/count-utils");
+const { createOverloadTracker } = require("./utils/overload-utils");
+const { upperCaseFirst } = require("./utils/string-utils");
+
+/**
+ * Gets the node of a parameter which holds its type annotation and default value.
+ * @param {ASTNode} param The parameter node.
+ * @returns {ASTNode} The parameter, unwrapped from a parameter property.
+ */
+function unwrapParam(param) {
+  return param.type === "TSParameterProperty" ? param.parameter : param;
+}
+
+/**
+ * Gets the type annotation of a parameter.
+ * @param {ASTNode} param The parameter node.
+ * @returns {ASTNode|null} The type node, or `null` if the parameter isn't annotated.
+ */
+function getTypeAnnotation(param) {
+  const target = unwrapParam(param);
+  const annotated = target.type === "AssignmentPattern" ? target.left : target;
+
+  return annotated.typeAnnotation ? annotated.typeAnnotation.typeAnnotation : null;
+}
+
+/**
+ * Checks whether a parameter is a boolean, from its type annotation or its default value.
+ *
+ * - `function f(flag: boolean) {}`  ... `true`
+ * - `function f(flag = false) {}`  .... `true`
+ * - `function f(flag) {}`  ............ `false`
+ * @param {ASTNode} param The parameter node.
+ * @returns {boolean} `true` if the parameter is a boolean.
+ */
+function isBooleanParam(param) {
+  const target = unwrapParam(param);
+  const type = getTypeAnnotation(param);
+
+  if (type) {
+    return type.type === "TSBooleanKeyword";
+  }
+  return target.type === "AssignmentPattern" &&
+    target.right.type === "Literal" &&
+    typeof target.right.value === "boolean";
+}
+
+//------------------------------------------------------------------------------
+// Rule Definition
+//------------------------------------------------------------------------------
+
+/**
+ * @type {import('eslint').Rule.RuleModule}
+ */
+module.exports = {
+  meta: {
+    defaultOptions: [{ maxBooleans: 1, maxSameTypeRun: 2 }],
+    type: "suggestion",
+    docs: {
+      description: "Disallow boolean traps and runs of same-typed positional parameters.",
+      recommended: false,
+      url: null,
+    },
+    fixable: null,
+    schema: [{
+      type: "object",
+      properties: {
+        maxBooleans: {
+          type: "integer",
+          description: "The maximum number of boolean parameters of a function",
+          minimum: 0
+        },
+        maxSameTypeRun: {
+          type: "integer",
+          description: "The maximum number of adjacent parameters annotated with the same type",
+          minimum: 1
+        }
+      },
+      additionalProperties: false
+    }],
+    messages: {
+      tooManyBooleans: "{{name}} has too many boolean parameters ({{count}}: {{params}}). Maximum allowed is {{max}}.",
+      sameTypeRun: "{{name}} has too many adjacent parameters of type '{{type}}' ({{count}}: {{params}}). Maximum allowed is {{max}}."
+    }
+  },
+
+  create(context) {
+    const sourceCode = context.sourceCode;
+    const [{ maxBooleans, maxSameTypeRun }] = context.options;
+    const isOverloadReported = createOverloadTracker();
+
+    /**
+     * Gets the name of a parameter for the report, or its text if it is a pattern.
+     * @param {ASTNode} param The parameter node.
+     * @returns {string} The name of the parameter.
+     */
+    function getParamLabel(param) {
+      return astUtils.getParamName(param) || sourceCode.getText(param);
+    }
+
+    /**
+     * Gets the runs of adjacent parameters annotated with the same non-boolean type.
+     * @param {ASTNode[]} params The parameter nodes.
+     * @returns {{ type: string, params: ASTNode[] }[]} The runs, in order.
+     */
+    function getSameTypeRuns(params) {
+      const runs = [];
+      let current = null;
+
+      params.forEach(param => {
+        const type = getTypeAnnotation(param);
+        const typeText = type && type.type !== "TSBooleanKeyword" ? sourceCode.getText(type) : null;
+
+        if (typeText === null) {
+          current = null;
+        } else if (current && current.type === typeText) {
+          current.params.push(param);
+        } else {
+          current = { type: typeText, params: [param] };
+          runs.push(current);
+        }
+      });
+      return runs;
+    }
+
+    /**
+     * Checks a function for boolean traps and runs of same-typed parameters. An overload set
+     * is reported once, on its first signature with a violation.
+     * @param {ASTNode} node The node to check.
+     * @returns {void}
+     * @private
+     */
+    function checkFunction(node) {
+      const params = getParams(node);
+      const name = upperCaseFirst(astUtils.getFunctionNameWithKind(node));
+      const loc = astUtils.getFunctionHeadLoc(node, sourceCode);
+      const booleans = params.filter(isBooleanParam);
+      const errors = [];
+
+      if (booleans.length > maxBooleans) {
+        errors.push({
+          loc,
+          node,
+          messageId: "tooManyBooleans",
+          data: {
+            name,
+            count: booleans.length,
+            params: booleans.map(getParamLabel).join(", "),
+            max: maxBooleans
+          }
+        });
+      }
+
+      getSameTypeRuns(params)
+        .filter(run => run.params.length > maxSameTypeRun)
+        .forEach(run => {
+          errors.push({
+            loc,
+            node,
+            messageId: "sameTypeRun",
+            data: {
+              name,
+              type: run.type,
+              count: run.params.length,
+              params: run.params.map(getParamLabel).join(", "),
+              max: maxSameTypeRun
+            }
+          });
+        });
+
+      if (errors.length > 0 && !isOverloadReported(node)) {
+        errors.forEach(error => context.report(error));
+      }
+    }
+
+    return Object.fromEntries(FUNCTION_TYPES.map(type => [type, checkFunction]));
+  },
+};
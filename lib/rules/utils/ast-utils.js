@@ -35,11 +35,25 @@ function getOpeningParenOfParams(node, sourceCode) {
   }
 
   // Otherwise, returns paren.
-  return node.id
-    ? sourceCode.getTokenAfter(node.id, isOpeningParenToken)
+  const nameNode = node.id || (node.type === "TSMethodSignature" && node.key);
+
+  return nameNode
+    ? sourceCode.getTokenAfter(nameNode, isOpeningParenToken)
     : sourceCode.getFirstToken(node, isOpeningParenToken);
 }
 
+/**
+ * Checks whether the given node is a class member holding a function, in which case
+ * the node gives the function its name.
+ * @param {ASTNode} node The node to check.
+ * @returns {boolean} `true` if the node is a method or property definition.
+ */
+function isClassMember(node) {
+  return node.type === "MethodDefinition" ||
+    node.type === "PropertyDefinition" ||
+    node.type === "TSAbstractMethodDefinition";
+}
+
 
 /**
  * Determines whether the given node is a `null` literal.
@@ -139,6 +153,8 @@ function getOpeningParenOfParams(node, sourceCode) {
       case "Property":
       case "PropertyDefinition":
       case "MethodDefinition":
+      case "TSAbstractMethodDefinition":
+      case "TSMethodSignature":
           prop = node.key;
           break;
 
@@ -160,7 +176,400 @@ function getOpeningParenOfParams(node, sourceCode) {
   return null;
 }
 
+/**
+ * Gets the name bound by the given parameter node.
+ *
+ * - `function f(foo) {}`  ........................... `"foo"`
+ * - `function f(foo = 1) {}`  ....................... `"foo"`
+ * - `function f(...foo) {}`  ........................ `"foo"`
+ * - `class A { constructor(private foo: Foo) {} }`  . `"foo"`
+ * - `function f({ foo }) {}`  ....................... `null`
+ * @param {ASTNode} node The parameter node.
+ * @returns {string|null} The name of the parameter, or `null` if it is a destructuring pattern.
+ */
+function getParamName(node) {
+  switch (node.type) {
+    case "Identifier":
+      return node.name;
+    case "AssignmentPattern":
+      return getParamName(node.left);
+    case "RestElement":
+      return getParamName(node.argument);
+    case "TSParameterProperty":
+      return getParamName(node.parameter);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Gets the dotted name of a callee, if it can be determined statically.
+ *
+ * - `foo()`  ..................... `"foo"`
+ * - `app.use()`  ................. `"app.use"`
+ * - `this.router.get()`  ......... `"this.router.get"`
+ * - `items.filter(f).reduce()`  .. `"items.filter().reduce"`
+ * - `items?.["reduce"]()`  ....... `"items.reduce"`
+ * - `this.#emit()`  .............. `"this.#emit"`
+ * - `items[key]()`  .............. `null`
+ * - `(a || b).reduce()`  ......... `null`
+ * @param {ASTNode} node The callee node.
+ * @returns {string|null} The name of the callee, or `null` if it is dynamic.
+ */
+function getStaticCalleeName(node) {
+  switch (node.type) {
+    case "Identifier":
+      return node.name;
+    case "ThisExpression":
+      return "this";
+    case "Super":
+      return "super";
+    case "ChainExpression":
+    case "TSNonNullExpression":
+      return getStaticCalleeName(node.expression);
+    case "CallExpression": {
+      const name = getStaticCalleeName(node.callee);
+
+      return name === null ? null : `${name}()`;
+    }
+    case "MemberExpression": {
+      const object = getStaticCalleeName(node.object);
+      const property = !node.computed && node.property.type === "PrivateIdentifier"
+        ? `#${node.property.name}`
+        : getStaticPropertyName(node);
+
+      return object === null || property === null ? null : `${object}.${property}`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Finds the variable of the given name, from the given scope up to the global scope.
+ * @param {Scope} initialScope The scope to start from.
+ * @param {string} name The name of the variable.
+ * @returns {Variable|null} The variable, or `null` if it isn't declared.
+ */
+function findVariable(initialScope, name) {
+  for (let scope = initialScope; scope; scope = scope.upper) {
+    const variable = scope.set.get(name);
+
+    if (variable) {
+      return variable;
+    }
+  }
+  return null;
+}
+
+/**
+ * Gets the class the given class extends, if it is declared in the same file.
+ *
+ * - `class A {} class B extends A {}`  .......... the `A` class, for `B`
+ * - `const A = class {}; class B extends A {}`  . the `A` class expression, for `B`
+ * - `class B extends mixin(A) {}`  .............. `null`
+ * @param {ASTNode} classNode The `ClassDeclaration` or `ClassExpression` node.
+ * @param {SourceCode} sourceCode The source code object to get scopes.
+ * @returns {ASTNode|null} The super class node, or `null` if it can't be resolved.
+ */
+function getLocalSuperClass(classNode, sourceCode) {
+  if (!classNode.superClass || classNode.superClass.type !== "Identifier") {
+    return null;
+  }
+
+  const variable = findVariable(sourceCode.getScope(classNode), classNode.superClass.name);
+  const definition = variable && variable.defs[0];
+
+  if (!definition) {
+    return null;
+  }
+  if (definition.type === "ClassName") {
+    return definition.node;
+  }
+  if (definition.type === "Variable" && definition.node.init && definition.node.init.type === "ClassExpression") {
+    return definition.node.init;
+  }
+  return null;
+}
+
+/**
+ * Gets the declaration of a type named in the same file.
+ * @param {ASTNode} node The `Identifier` node naming the type.
+ * @param {SourceCode} sourceCode The source code object to get scopes.
+ * @returns {ASTNode|null} The `TSInterfaceDeclaration` or `TSTypeAliasDeclaration` node, or
+ * `null` if the type isn't declared in the file.
+ */
+function getLocalTypeDeclaration(node, sourceCode) {
+  const variable = findVariable(sourceCode.getScope(node), node.name);
+  const definition = variable && variable.defs.find(def =>
+    def.node.type === "TSInterfaceDeclaration" || def.node.type === "TSTypeAliasDeclaration");
+
+  return definition ? definition.node : null;
+}
+
+/**
+ * Gets the property and method signatures of an object type, resolving the interfaces and
+ * type aliases declared in the same file.
+ * @param {ASTNode} node The type node.
+ * @param {SourceCode} sourceCode The source code object to get scopes.
+ * @param {Set<ASTNode>} visited The declarations already resolved, to guard against cycles.
+ * @returns {ASTNode[]|null} The member nodes, or `null` if part of the type can't be resolved.
+ */
+function resolveTypeMembers(node, sourceCode, visited) {
+  const collect = types => {
+    const members = types.map(type => resolveTypeMembers(type, sourceCode, visited));
+
+    return members.includes(null) ? null : members.flat();
+  };
+
+  switch (node.type) {
+    case "TSTypeLiteral":
+      return node.members.filter(member => member.type === "TSPropertySignature" || member.type === "TSMethodSignature");
+    case "TSIntersectionType":
+      return collect(node.types);
+    case "TSInterfaceHeritage":
+    case "TSTypeReference": {
+      const name = node.type === "TSTypeReference" ? node.typeName : node.expression;
+      const declaration = name.type === "Identifier" && !node.typeArguments
+        ? getLocalTypeDeclaration(name, sourceCode)
+        : null;
+
+      if (!declaration || visited.has(declaration)) {
+        return null;
+      }
+      visited.add(declaration);
+      if (declaration.type === "TSTypeAliasDeclaration") {
+        return resolveTypeMembers(declaration.typeAnnotation, sourceCode, visited);
+      }
+      return collect([
+        { type: "TSTypeLiteral", members: declaration.body.body },
+        ...declaration.extends || []
+      ]);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks whether a node is the whole of the given parent, so that the parent declares or holds
+ * only this node.
+ *
+ * - `const foo = () => {}`  .......... the arrow function, in its declarator and declaration
+ * - `export function foo() {}`  ...... the function, in the export declaration
+ * - `class A { @Get() foo() {} }`  ... the method, in its method definition with decorators
+ * - `interface I { foo: () => {} }`  . the function type, in its type annotation and property signature
+ * @param {ASTNode} node The node.
+ * @param {ASTNode} parent The parent node.
+ * @returns {boolean} `true` if the parent only holds the node.
+ */
+function isWrappedBy(node, parent) {
+  switch (parent.type) {
+    case "MethodDefinition":
+    case "PropertyDefinition":
+    case "TSAbstractMethodDefinition":
+    case "Property":
+      return parent.value === node;
+    case "VariableDeclarator":
+      return parent.init === node;
+    case "VariableDeclaration":
+      return parent.declarations.length === 1;
+    case "ExportNamedDeclaration":
+    case "ExportDefaultDeclaration":
+      return parent.declaration === node;
+    case "TSTypeAliasDeclaration":
+    case "TSTypeAnnotation":
+    case "TSPropertySignature":
+      return parent.typeAnnotation === node;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Gets the outermost node holding only the given node, like its declaration or class member.
+ *
+ * - `export const foo = () => {}`  ... the export declaration, for the arrow function
+ * - `class A { foo() {} }`  .......... the method definition, for the method
+ * - `foo(() => {})`  ................. the arrow function itself
+ * @param {ASTNode} node The node.
+ * @returns {ASTNode} The outermost node, or the node itself.
+ */
+function getDeclarationNode(node) {
+  let declaration = node;
+
+  while (isWrappedBy(declaration, declaration.parent)) {
+    declaration = declaration.parent;
+  }
+  return declaration;
+}
+
+/**
+ * Checks whether a node is assigned to `module.exports` or one of its properties.
+ *
+ * - `module.exports = node`  ....... `true`
+ * - `module.exports.foo = node`  ... `true`
+ * - `exports.foo = node`  .......... `true`
+ * @param {ASTNode} node The node to check.
+ * @returns {boolean} `true` if the node is exported with CommonJS.
+ */
+function isCommonJsExport(node) {
+  const parent = node.parent;
+
+  return parent.type === "AssignmentExpression" &&
+    parent.right === node &&
+    /^(?:module\.exports|exports)(?:\.|$)/u.test(getStaticCalleeName(parent.left) || "");
+}
+
+/**
+ * Checks whether a node is exported where it is declared or written, with an `export`
+ * declaration or a CommonJS assignment.
+ * @param {ASTNode} node The node to check.
+ * @returns {boolean} `true` if the node is exported.
+ */
+function isExportedValue(node) {
+  const declaration = getDeclarationNode(node);
+
+  return declaration.type === "ExportNamedDeclaration" ||
+    declaration.type === "ExportDefaultDeclaration" ||
+    isCommonJsExport(declaration);
+}
+
+/**
+ * Checks whether a declaration is exported through one of the references of the variables it
+ * names, like `export { foo }`, `export default foo` or `module.exports = { foo }`. The
+ * parameters of a function declaration aren't considered.
+ * @param {ASTNode} declaration The declaration node.
+ * @param {SourceCode} sourceCode The source code object to get variables.
+ * @returns {boolean} `true` if the declaration is exported by a reference.
+ */
+function isExportedByReference(declaration, sourceCode) {
+  const ids = declaration.type === "VariableDeclaration"
+    ? declaration.declarations.map(declarator => declarator.id)
+    : [declaration.id];
+
+  return sourceCode.getDeclaredVariables(declaration)
+    .filter(variable => variable.identifiers.some(identifier => ids.includes(identifier)))
+    .some(variable => variable.references.some(({ identifier }) => {
+      const parent = identifier.parent;
+
+      return parent.type === "ExportSpecifier" && parent.local === identifier ||
+        parent.type === "ExportDefaultDeclaration" ||
+        isCommonJsExport(identifier) ||
+        parent.type === "Property" && parent.value === identifier && isExportedValue(parent.parent);
+    }));
+}
+
+/**
+ * Checks whether a class member is private, with a `#` name or the TypeScript `private` modifier.
+ * @param {ASTNode} member The class member node.
+ * @returns {boolean} `true` if the member is private.
+ */
+function isPrivateMember(member) {
+  return member.key.type === "PrivateIdentifier" || member.accessibility === "private";
+}
+
+/**
+ * Checks whether a function is part of the public API of its module: it is exported, or it is
+ * a public member of an exported class, interface or object.
+ *
+ * - `export function foo() {}`  ........................ `true`
+ * - `function foo() {} export { foo }`  ................ `true`
+ * - `module.exports = { foo() {} }`  ................... `true`
+ * - `export class A { foo() {} }`  ..................... `true`
+ * - `export class A { #foo() {} private bar() {} }`  ... `false`
+ * - `function foo() {}`  ............................... `false`
+ * @param {ASTNode} node The function node, or a class, interface or object node.
+ * @param {SourceCode} sourceCode The source code object to get variables.
+ * @returns {boolean} `true` if the function is exported.
+ */
+function isExported(node, sourceCode) {
+  const declaration = getDeclarationNode(node);
+
+  if (isExportedValue(declaration) || isExportedByReference(declaration, sourceCode)) {
+    return true;
+  }
+  if (isClassMember(declaration)) {
+    return !isPrivateMember(declaration) && isExported(declaration.parent.parent, sourceCode);
+  }
+  if (declaration.type === "TSMethodSignature" || declaration.type === "TSPropertySignature") {
+    const container = declaration.parent.type === "TSInterfaceBody" ? declaration.parent.parent : declaration.parent;
+
+    return isExported(container, sourceCode);
+  }
+  if (declaration.type === "Property" && declaration.parent.type === "ObjectExpression") {
+    return isExported(declaration.parent, sourceCode);
+  }
+  return false;
+}
+
+// The functions which can be links of a curried chain
+const CURRIED_TYPES = new Set(["FunctionDeclaration", "FunctionExpression", "ArrowFunctionExpression"]);
+
+/**
+ * Gets the function directly returned by the given function: the body of an arrow function,
+ * or the argument of a body holding nothing but a `return` statement.
+ *
+ * - `(a) => (b) => a + b`  ........................ `(b) => a + b`
+ * - `function (a) { return function (b) {}; }`  ... `function (b) {}`
+ * - `(a) => { log(a); return (b) => a + b; }`  .... `null`
+ * @param {ASTNode} node The function node.
+ * @returns {ASTNode|null} The returned function, or `null` if the function returns something else.
+ */
+function getReturnedFunction(node) {
+  if (!CURRIED_TYPES.has(node.type) || !node.body) {
+    return null;
+  }
+
+  const statements = node.body.type === "BlockStatement" ? node.body.body : null;
+  const returned = statements
+    ? statements.length === 1 && statements[0].type === "ReturnStatement" && statements[0].argument
+    : node.body;
+
+  return returned && returned.type !== "FunctionDeclaration" && CURRIED_TYPES.has(returned.type) ? returned : null;
+}
+
 module.exports = {
+  findVariable,
+  getDeclarationNode,
+  getParamName,
+  getStaticCalleeName,
+  getStaticPropertyName,
+  isExported,
+
+  /**
+   * Gets the chain of functions directly returned one by another, starting at the given function.
+   *
+   * - `(a) => (b) => (c) => a + b + c`  ... `[(a) => ..., (b) => ..., (c) => ...]`
+   * - `function (a) {}`  .................. `[function (a) {}]`
+   * @param {ASTNode} node The outermost function node.
+   * @returns {ASTNode[]} The functions of the chain, from the outermost one.
+   */
+  getCurriedChain(node) {
+    const chain = [node];
+
+    for (let link = getReturnedFunction(node); link; link = getReturnedFunction(link)) {
+      chain.push(link);
+    }
+    return chain;
+  },
+
+  /**
+   * Checks whether the given function is directly returned by another one, as an inner link of
+   * a curried chain.
+   *
+   * - `(a) => (b) => a + b`  .......... `true` for `(b) => a + b`
+   * - `(a) => { return (b) => b; }`  ... `true` for `(b) => b`
+   * - `(a) => [(b) => b]`  ............ `false` for `(b) => b`
+   * @param {ASTNode} node The function node.
+   * @returns {boolean} `true` if the function is returned by its parent function.
+   */
+  isCurriedLink(node) {
+    const parent = node.parent.type === "ReturnStatement" ? node.parent.parent.parent : node.parent;
+
+    return Boolean(parent) && getReturnedFunction(parent) === node;
+  },
+
   /**
      * Gets the location of the given function node for reporting.
      *
@@ -254,6 +663,14 @@ module.exports = {
      *              ^^^^^^^^^^^^^^^^^^^^^
      * - `class A { foo = (a, b) => {} }`
      *              ^^^^^^
+     * - `abstract class A { abstract foo(a): void }`
+     *                       ^^^^^^^^^^^^
+     * - `interface I { foo(a): void }`
+     *                  ^^^
+     * - `interface I { (a): void }`
+     *                  ^^^^^^^^^
+     * - `type F = (a) => void`
+     *                 ^^
      * @param {ASTNode} node The function node to get.
      * @param {SourceCode} sourceCode The source code object to get tokens.
      * @returns {string} The location of the function node for reporting.
@@ -263,7 +680,7 @@ module.exports = {
     let start = null;
     let end = null;
 
-    if (parent.type === "Property" || parent.type === "MethodDefinition" || parent.type === "PropertyDefinition") {
+    if (parent.type === "Property" || isClassMember(parent)) {
       start = parent.loc.start;
       end = getOpeningParenOfParams(node, sourceCode).loc.start;
     } else if (node.type === "ArrowFunctionExpression") {
@@ -271,6 +688,14 @@ module.exports = {
 
       start = arrowToken.loc.start;
       end = arrowToken.loc.end;
+    } else if (node.type === "TSFunctionType" || node.type === "TSConstructorType") {
+      const arrowToken = sourceCode.getFirstToken(node.returnType);
+
+      start = arrowToken.loc.start;
+      end = arrowToken.loc.end;
+    } else if (node.type === "TSCallSignatureDeclaration" || node.type === "TSConstructSignatureDeclaration") {
+      start = node.loc.start;
+      end = node.loc.end;
     } else {
       start = node.loc.start;
       end = getOpeningParenOfParams(node, sourceCode).loc.start;
@@ -282,6 +707,86 @@ module.exports = {
     };
   },
 
+  /**
+   * Gets the location of the callee of the given call node for reporting.
+   *
+   * - `foo(a, b)`
+   *    ^^^
+   * - `app.use(a, b)`
+   *    ^^^^^^^
+   * - `new Foo(a, b)`
+   *    ^^^^^^^
+   * - `new Map<K, V>(a)`
+   *    ^^^^^^^^^^^^^
+   * - `super(a, b)`
+   *    ^^^^^
+   * @param {ASTNode} node The `CallExpression` or `NewExpression` node to get.
+   * @returns {Object} The location of the callee for reporting.
+   */
+  getCallHeadLoc(node) {
+    const end = (node.typeArguments || node.callee).loc.end;
+
+    return {
+      start: Object.assign({}, node.loc.start),
+      end: Object.assign({}, end)
+    };
+  },
+
+  /**
+   * Gets the name and kind of the given call node.
+   *
+   * - `foo()`  ....................... `call to 'foo'`
+   * - `app.use()`  ................... `method call to 'app.use'`
+   * - `items.filter(f).reduce()`  .... `method call to 'items.filter().reduce'`
+   * - `items[key]()`  ................ `method call`
+   * - `new Foo()`  ................... `new expression 'Foo'`
+   * - `new (factory())()`  ........... `new expression`
+   * - `super()`  ..................... `super call`
+   * @param {ASTNode} node The `CallExpression` or `NewExpression` node to get.
+   * @returns {string} The name and kind of the call node.
+   */
+  getCallNameWithKind(node) {
+    const callee = node.callee;
+    const name = getStaticCalleeName(callee);
+    let kind = "call";
+
+    if (callee.type === "Super") {
+      return "super call";
+    }
+    if (node.type === "NewExpression") {
+      return name === null ? "new expression" : `new expression '${name}'`;
+    }
+    if (callee.type === "MemberExpression" || callee.type === "ChainExpression") {
+      kind = "method call";
+    }
+    return name === null ? kind : `${kind} to '${name}'`;
+  },
+
+  /**
+   * Gets the option keys that may hold the argument limit of the given call node, ordered from
+   * the most specific to the least specific one.
+   *
+   * - `foo()`  ......... `["call"]`
+   * - `app.use()`  ..... `["method", "call"]`
+   * - `new Foo()`  ..... `["new", "call"]`
+   * - `super()`  ....... `["super", "new", "call"]`
+   * @param {ASTNode} node The `CallExpression` or `NewExpression` node to get.
+   * @returns {string[]} The option keys, the most specific first.
+   */
+  getCallKinds(node) {
+    const callee = node.callee;
+
+    if (callee.type === "Super") {
+      return ["super", "new", "call"];
+    }
+    if (node.type === "NewExpression") {
+      return ["new", "call"];
+    }
+    if (callee.type === "MemberExpression" || callee.type === "ChainExpression") {
+      return ["method", "call"];
+    }
+    return ["call"];
+  },
 
   /**
    * Gets the name and kind of the given function node.
@@ -338,6 +843,13 @@ module.exports = {
    * - `class A { '#foo'() {} }`  .............. `method '#foo'`
    * - `class A { #foo() {} }`  ................ `private method #foo`
    * - `class A { static #foo() {} }`  ......... `static private method #foo`
+   * - `class A { abstract foo(); }`  .......... `abstract method 'foo'`
+   * - `declare function foo(): void`  ......... `function 'foo'`
+   * - `interface I { foo(): void }`  .......... `method signature 'foo'`
+   * - `interface I { (): void }`  ............. `call signature`
+   * - `interface I { new (): I }`  ............ `construct signature`
+   * - `type F = () => void`  .................. `function type 'F'`
+   * - `type F = new () => I`  ................. `constructor type 'F'`
    * @param {ASTNode} node The function node to get.
    * @returns {string} The name and kind of the function node.
    */
@@ -345,7 +857,32 @@ module.exports = {
     const parent = node.parent;
     const tokens = [];
 
-    if (parent.type === "MethodDefinition" || parent.type === "PropertyDefinition") {
+    switch (node.type) {
+      case "TSMethodSignature": {
+        const name = getStaticPropertyName(node);
+
+        tokens.push(node.kind === "method" ? "method" : `${node.kind}ter`, "signature");
+        if (name !== null) {
+          tokens.push(`'${name}'`);
+        }
+        return tokens.join(" ");
+      }
+      case "TSCallSignatureDeclaration":
+        return "call signature";
+      case "TSConstructSignatureDeclaration":
+        return "construct signature";
+      case "TSFunctionType":
+      case "TSConstructorType":
+        tokens.push(node.type === "TSFunctionType" ? "function" : "constructor", "type");
+        if (parent.type === "TSTypeAliasDeclaration") {
+          tokens.push(`'${parent.id.name}'`);
+        }
+        return tokens.join(" ");
+
+        // no default
+    }
+
+    if (isClassMember(parent)) {
 
       // The proposal uses `static` word consistently before visibility words: https://github.com/tc39/proposal-static-class-features
       if (parent.static) {
@@ -354,6 +891,9 @@ module.exports = {
       if (!parent.computed && parent.key.type === "PrivateIdentifier") {
         tokens.push("private");
       }
+      if (parent.type === "TSAbstractMethodDefinition") {
+        tokens.push("abstract");
+      }
     }
     if (node.async) {
       tokens.push("async");
@@ -362,7 +902,7 @@ module.exports = {
       tokens.push("generator");
     }
 
-    if (parent.type === "Property" || parent.type === "MethodDefinition") {
+    if (parent.type === "Property" || parent.type === "MethodDefinition" || parent.type === "TSAbstractMethodDefinition") {
       if (parent.kind === "constructor") {
         return "constructor";
       }
@@ -382,7 +922,7 @@ module.exports = {
       tokens.push("function");
     }
 
-    if (parent.type === "Property" || parent.type === "MethodDefinition" || parent.type === "PropertyDefinition") {
+    if (parent.type === "Property" || isClassMember(parent)) {
       if (!parent.computed && parent.key.type === "PrivateIdentifier") {
         tokens.push(`#${parent.key.name}`);
       } else {
@@ -400,4 +940,168 @@ module.exports = {
 
     return tokens.join(" ");
   },
+
+  /**
+   * Gets the name of the given function node, without its kind.
+   *
+   * - `function foo() {}`  .................... `"foo"`
+   * - `const foo = () => {}`  ................. `"foo"`
+   * - `({ foo: function bar() {} })`  ......... `"foo"`
+   * - `class A { #foo() {} }`  ................ `"#foo"`
+   * - `interface I { foo(): void }`  .......... `"foo"`
+   * - `type F = () => void`  .................. `"F"`
+   * - `(function() {})`  ...................... `null`
+   * @param {ASTNode} node The function node to get.
+   * @returns {string|null} The name of the function, or `null` if it has none.
+   */
+  getFunctionName(node) {
+    const parent = node.parent;
+    const member = node.type === "TSMethodSignature" ? node : parent;
+
+    if (member.type === "Property" || member.type === "TSMethodSignature" || isClassMember(member)) {
+      if (!member.computed && member.key.type === "PrivateIdentifier") {
+        return `#${member.key.name}`;
+      }
+
+      const name = getStaticPropertyName(member);
+
+      if (name !== null) {
+        return name;
+      }
+    }
+    if (node.id) {
+      return node.id.name;
+    }
+    if (parent.type === "VariableDeclarator" && parent.init === node && parent.id.type === "Identifier") {
+      return parent.id.name;
+    }
+    if (parent.type === "TSTypeAliasDeclaration") {
+      return parent.id.name;
+    }
+    return null;
+  },
+
+  /**
+   * Checks whether the signature of the given function is inherited, that is whether it is a
+   * class member which overrides or implements a member declared elsewhere.
+   *
+   * - `class A extends B { override foo() {} }`  ............. `true`
+   * - `class A implements I { foo() {} }`  ................... `true`
+   * - `class B { foo() {} } class A extends B { foo() {} }`  .. `true` for `A`, `false` for `B`
+   * - `class A extends B { constructor() {} }`  .............. `false`
+   * - `class A implements I { #foo() {} }`  .................. `false`
+   * @param {ASTNode} node The function node to check.
+   * @param {SourceCode} sourceCode The source code object to get scopes.
+   * @returns {boolean} `true` if the function overrides a member of a base class or interface.
+   */
+  isOverridingMethod(node, sourceCode) {
+    const member = node.parent;
+
+    if (!isClassMember(member) || member.kind === "constructor" || member.computed && getStaticPropertyName(member) === null) {
+      return false;
+    }
+    if (member.override) {
+      return true;
+    }
+    if (member.key.type === "PrivateIdentifier") {
+      return false;
+    }
+
+    const classNode = member.parent.parent;
+
+    if (!member.static && classNode.implements && classNode.implements.length > 0) {
+      return true;
+    }
+
+    const name = getStaticPropertyName(member);
+    const visited = new Set([classNode]);
+
+    for (let base = getLocalSuperClass(classNode, sourceCode); base && !visited.has(base); base = getLocalSuperClass(base, sourceCode)) {
+      visited.add(base);
+      if (base.body.body.some(other =>
+        isClassMember(other) &&
+        other.kind !== "constructor" &&
+        other.static === member.static &&
+        other.key.type !== "PrivateIdentifier" &&
+        getStaticPropertyName(other) === name
+      )) {
+        return true;
+      }
+    }
+    return false;
+  },
+
+  /**
+   * Gets the option keys that may hold the parameter limit of the given function node,
+   * ordered from the most specific to the least specific one.
+   *
+   * - `class A { constructor() {} }`  ......... `["constructor"]`
+   * - `class A { #foo() {} }`  ................ `["privateMethod", "method", "func"]`
+   * - `class A { static foo() {} }`  .......... `["staticMethod", "method", "func"]`
+   * - `class A { static async *foo() {} }`  ... `["staticMethod", "generator", "async", "method", "func"]`
+   * - `class A { foo = () => {}; }`  .......... `["method", "func"]`
+   * - `({ foo() {} })`  ....................... `["objectMethod", "method", "func"]`
+   * - `({ foo: async () => {} })`  ............ `["async", "objectMethod", "method", "func"]`
+   * - `function* foo() {}`  ................... `["generator", "func"]`
+   * - `async () => {}`  ....................... `["async", "arrow", "func"]`
+   * - `function foo() {}`  .................... `["func"]`
+   * - `interface I { foo(): void }`  .......... `["method", "func"]`
+   * - `type F = () => void`  .................. `["func"]`
+   * @param {ASTNode} node The function node to get.
+   * @returns {string[]} The option keys, the most specific first.
+   */
+  getFunctionKinds(node) {
+    const parent = node.parent;
+    const kinds = [];
+
+    if (parent.type === "MethodDefinition" && parent.kind === "constructor") {
+      return ["constructor"];
+    }
+    if (node.type === "TSMethodSignature") {
+      return ["method", "func"];
+    }
+
+    const isMember = isClassMember(parent);
+
+    if (isMember && !parent.computed && parent.key.type === "PrivateIdentifier") {
+      kinds.push("privateMethod");
+    }
+    if (isMember && parent.static) {
+      kinds.push("staticMethod");
+    }
+    if (node.generator) {
+      kinds.push("generator");
+    }
+    if (node.async) {
+      kinds.push("async");
+    }
+
+    if (isMember) {
+      kinds.push("method");
+    } else if (parent.type === "Property") {
+      kinds.push("objectMethod", "method");
+    } else if (node.type === "ArrowFunctionExpression") {
+      kinds.push("arrow");
+    }
+    kinds.push("func");
+
+    return kinds;
+  },
+
+  /**
+   * Gets the property and method signatures of an object type, resolving the interfaces and
+   * type aliases declared in the same file.
+   *
+   * - `{ a: string; b?(): void }`  ......................... `a`, `b`
+   * - `interface P extends Q { a: string }`, `P`  .......... `a` and the members of `Q`
+   * - `type P = Q & { a: string }`  ........................ the members of `Q`, and `a`
+   * - `Props<T>`, `import("x").Props`, an imported type  ... `null`
+   * @param {ASTNode} node The type node.
+   * @param {SourceCode} sourceCode The source code object to get scopes.
+   * @returns {ASTNode[]|null} The `TSPropertySignature` and `TSMethodSignature` nodes, or `null`
+   * if part of the type can't be resolved.
+   */
+  getTypeMembers(node, sourceCode) {
+    return resolveTypeMembers(node, sourceCode, new Set());
+  },
 }
\ No newline at end of file
@@ -0,0 +1,95 @@
+const fs = require("node:fs");
+const path = require("node:path");
+
+// The baselines read, by absolute path, with the modification time of the file
+const cache = new Map();
+
+/**
+ * Reads a baseline file, or gets it from the cache if the file didn't change since.
+ * @param {string} file The absolute path of the baseline file.
+ * @returns {Object<string, { name: string, count: number }[]>} The entries, by file. A missing
+ * baseline file has no entries.
+ */
+function readBaseline(file) {
+  let stats;
+
+  try {
+    stats = fs.statSync(file);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return {};
+    }
+    throw error;
+  }
+
+  const cached = cache.get(file);
+
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.baseline;
+  }
+
+  let baseline;
+
+  try {
+    baseline = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid baseline file ${file}: ${error.message}`, { cause: error });
+  }
+  cache.set(file, { mtimeMs: stats.mtimeMs, baseline });
+  return baseline;
+}
+
+/**
+ * Gets the key of a linted file in a baseline: its path relative to the working directory,
+ * with `/` separators.
+ * @param {string} filename The absolute path of the linted file.
+ * @param {string} cwd The working directory.
+ * @returns {string} The key of the file.
+ */
+function toBaselineKey(filename, cwd) {
+  return path.relative(cwd, filename).split(path.sep).join("/");
+}
+
+module.exports = {
+  toBaselineKey,
+
+  // The messages which can be recorded in a baseline: the ones about the number of parameters
+  BASELINE_MESSAGE_IDS: [
+    "exceed",
+    "exceedTier",
+    "exceedCurried",
+    "exceedOwn",
+    "exceedForwarded",
+    "exceedPlain",
+    "exceedInjected",
+    "exceedRequired",
+    "exceedOptional",
+    "exceedCustom"
+  ],
+
+  // The environment variable which disables the baseline, to report every violation when regenerating it
+  UPDATE_BASELINE_VARIABLE: "BETTER_MAX_PARAMS_UPDATE_BASELINE",
+
+  /**
+   * Gets the placeholder of a message which holds the number recorded in the baseline: the
+   * forwarded parameters for `exceedForwarded`, and `count` for the other messages.
+   * @param {string} messageId The id of the message.
+   * @returns {string} The name of the placeholder.
+   */
+  getBaselineCountKey(messageId) {
+    return messageId === "exceedForwarded" ? "forwarded" : "count";
+  },
+
+  /**
+   * Gets the entries of a baseline for a linted file.
+   * @param {string} baselineFile The path of the baseline file, relative to the working directory.
+   * @param {string} filename The absolute path of the linted file.
+   * @param {string} cwd The working directory.
+   * @returns {{ name: string, count: number }[]} The entries of the linted file.
+   */
+  getBaselineEntries(baselineFile, filename, cwd) {
+    const baseline = readBaseline(path.resolve(cwd, baselineFile));
+
+    return baseline[toBaselineKey(filename, cwd)] || [];
+  }
+};
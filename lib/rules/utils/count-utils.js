@@ -0,0 +1,374 @@
+const astUtils = require("./ast-utils");
+const { createMatcher } = require("./pattern-utils");
+const typeUtils = require("./type-utils");
+
+const DECLARATION_FILE = /\.d\.[cm]?ts$/u;
+
+// The kinds of limit which depend on the visibility of the function
+const TIERS = ["exported", "internal"];
+
+/**
+ * Gets the parameters of a function, without the TypeScript `this` pseudo-parameter.
+ *
+ * - `function f(this: Window, a) {}`  ... `a`
+ * - `function f(this: void, a) {}`  ..... `a`, or `this` and `a` with `countVoidThis`
+ * @param {ASTNode} node The function node.
+ * @param {boolean} [countVoidThis] Whether to keep a `this` parameter of type `void`, like
+ * the option of core `max-params`.
+ * @returns {ASTNode[]} The parameters.
+ */
+function getParams(node, countVoidThis = false) {
+  const [first, ...rest] = node.params;
+
+  if (!first || first.type !== "Identifier" || first.name !== "this") {
+    return node.params;
+  }
+  if (countVoidThis && first.typeAnnotation && first.typeAnnotation.typeAnnotation.type === "TSVoidKeyword") {
+    return node.params;
+  }
+  return rest;
+}
+
+/**
+ * Gets the destructuring pattern of a parameter, if any.
+ *
+ * - `function f({ a, b }) {}`  ....... the object pattern
+ * - `function f([a, b] = []) {}`  .... the array pattern
+ * - `function f(a) {}`  .............. `null`
+ * @param {ASTNode} param The parameter node.
+ * @returns {ASTNode|null} The `ObjectPattern` or `ArrayPattern` node, or `null` if the parameter isn't destructured.
+ */
+function getPattern(param) {
+  let target = param.type === "TSParameterProperty" ? param.parameter : param;
+
+  if (target.type === "AssignmentPattern") {
+    target = target.left;
+  }
+  return target.type === "ObjectPattern" || target.type === "ArrayPattern" ? target : null;
+}
+
+/**
+ * Gets the number of properties or elements bound by a destructuring pattern.
+ * @param {ASTNode} pattern The `ObjectPattern` or `ArrayPattern` node.
+ * @returns {number} The number of properties, including a rest element, or of non-empty elements.
+ */
+function getPatternSize(pattern) {
+  return pattern.type === "ObjectPattern" ? pattern.properties.length : pattern.elements.filter(Boolean).length;
+}
+
+/**
+ * Checks whether a parameter is optional: callers can leave it out.
+ *
+ * - `function f(a = 1) {}`  ... `true`
+ * - `function f(a?: A) {}`  ... `true`
+ * - `function f(...a) {}`  .... `true`
+ * - `function f(a) {}`  ....... `false`
+ * @param {ASTNode} param The parameter node.
+ * @returns {boolean} `true` if the parameter has a default value, is marked optional or is a rest parameter.
+ */
+function isOptionalParam(param) {
+  const target = param.type === "TSParameterProperty" ? param.parameter : param;
+
+  return target.type === "AssignmentPattern" || target.type === "RestElement" || Boolean(target.optional);
+}
+
+/**
+ * Gets the properties of the type of an options-object parameter, from the type information or
+ * else from its annotation, resolving the interfaces and type aliases declared in the same file.
+ *
+ * - `function f({ a }: { a: A; b?: B }) {}`  ... `{ required: 1, optional: 1 }`
+ * - `function f(options: Options = {}) {}`  .... the properties of `Options`
+ * - `function f(options) {}`  .................. `null`
+ * @param {ASTNode} param The parameter node.
+ * @param {SourceCode} sourceCode The source code object to get scopes and types.
+ * @returns {{ required: number, optional: number }|null} The number of required and optional
+ * properties, or `null` if the type of the parameter can't be resolved to an object type.
+ */
+function getOptionsObjectProperties(param, sourceCode) {
+  const target = param.type === "AssignmentPattern" ? param.left : param;
+
+  if (target.type !== "Identifier" && target.type !== "ObjectPattern") {
+    return null;
+  }
+  if (typeUtils.hasTypeInformation(sourceCode)) {
+    return typeUtils.getObjectTypeProperties(target, sourceCode);
+  }
+
+  const annotation = target.typeAnnotation && target.typeAnnotation.typeAnnotation;
+  const members = annotation && astUtils.getTypeMembers(annotation, sourceCode);
+
+  if (!members) {
+    return null;
+  }
+
+  const optional = members.filter(member => member.optional).length;
+
+  return { required: members.length - optional, optional };
+}
+
+/**
+ * Checks whether a reference to a parameter passes it unchanged to `super(...)`: as an
+ * argument, or spread if the parameter is a rest parameter.
+ * @param {Reference} reference The reference to the parameter.
+ * @param {boolean} isRest Whether the parameter is a rest parameter.
+ * @returns {boolean} `true` if the reference is an argument of a `super` call.
+ */
+function isSuperArgument(reference, isRest) {
+  const identifier = reference.identifier;
+  const argument = isRest && identifier.parent.type === "SpreadElement" ? identifier.parent : identifier;
+  const call = argument.parent;
+
+  return (!isRest || argument !== identifier) &&
+    call.type === "CallExpression" &&
+    call.callee.type === "Super" &&
+    call.arguments.includes(argument);
+}
+
+/**
+ * Gets the parameters of a constructor which are only passed unchanged to `super(...)`.
+ *
+ * - `constructor(a, b) { super(a); this.b = b; }`  ... `a`
+ * - `constructor(...args) { super(...args); }`  ...... `...args`
+ * - `constructor(a) { super(a); log(a); }`  .......... none
+ * @param {ASTNode} node The constructor node.
+ * @param {ASTNode[]} params The parameters to check.
+ * @param {SourceCode} sourceCode The source code object to get variables.
+ * @returns {ASTNode[]} The forwarded parameters.
+ */
+function getSuperForwardedParams(node, params, sourceCode) {
+  const variables = sourceCode.getDeclaredVariables(node);
+
+  return params.filter(param => {
+    const isRest = param.type === "RestElement";
+    const identifier = isRest ? param.argument : param;
+
+    if (identifier.type !== "Identifier") {
+      return false;
+    }
+
+    const variable = variables.find(candidate => candidate.defs.some(def => def.type === "Parameter" && def.name === identifier));
+
+    return Boolean(variable) &&
+      variable.references.length > 0 &&
+      variable.references.every(reference => isSuperArgument(reference, isRest));
+  });
+}
+
+/**
+ * Checks whether a function is passed as an argument, in which case its signature is
+ * dictated by the callee.
+ * @param {ASTNode} node The function node.
+ * @returns {boolean} `true` if the function is an argument of a call or `new` expression.
+ */
+function isArgument(node) {
+  const parent = node.parent;
+
+  return (parent.type === "CallExpression" || parent.type === "NewExpression") && parent.arguments.includes(node);
+}
+
+/**
+ * Gets the name of a decorator, without its arguments or namespace.
+ *
+ * - `@Optional`  ...................... `"Optional"`
+ * - `@Inject(TOKEN)`  ................. `"Inject"`
+ * - `@typeorm.InjectRepository()`  ... `"InjectRepository"`
+ * @param {ASTNode} decorator The `Decorator` node.
+ * @returns {string|null} The name of the decorator, or `null` if it can't be determined.
+ */
+function getDecoratorName(decorator) {
+  let expression = decorator.expression;
+
+  if (expression.type === "CallExpression") {
+    expression = expression.callee;
+  }
+  if (expression.type === "Identifier") {
+    return expression.name;
+  }
+  return astUtils.getStaticPropertyName(expression);
+}
+
+/**
+ * Checks whether a parameter is decorated with one of the given decorators.
+ * @param {ASTNode} param The parameter node.
+ * @param {string[]} names The names of the decorators.
+ * @returns {boolean} `true` if the parameter has one of the decorators.
+ */
+function hasDecorator(param, names) {
+  return Boolean(param.decorators) && param.decorators.some(decorator => names.includes(getDecoratorName(decorator)));
+}
+
+module.exports = {
+  getParams,
+  getPattern,
+  getPatternSize,
+  isArgument,
+  isOptionalParam,
+  hasDecorator,
+  getSuperForwardedParams,
+  getOptionsObjectProperties,
+  TIERS,
+
+  // The types of the nodes whose parameters are counted
+  FUNCTION_TYPES: [
+    "FunctionDeclaration",
+    "ArrowFunctionExpression",
+    "FunctionExpression",
+    "TSDeclareFunction",
+    "TSEmptyBodyFunctionExpression",
+    "TSMethodSignature",
+    "TSCallSignatureDeclaration",
+    "TSConstructSignatureDeclaration",
+    "TSFunctionType",
+    "TSConstructorType"
+  ],
+
+  /**
+   * Checks whether a file is skipped by the `ignoreDeclarationFiles` option.
+   * @param {Object} option The options of `better-max-params`.
+   * @param {string} filename The name of the file.
+   * @returns {boolean} `true` if the file is a declaration file which isn't checked.
+   */
+  isIgnoredFile(option, filename) {
+    return Boolean(option.ignoreDeclarationFiles) && DECLARATION_FILE.test(filename);
+  },
+
+  /**
+   * Creates the functions counting parameters according to the options of `better-max-params`.
+   * @param {Object} option The options of `better-max-params`, with their defaults.
+   * @param {SourceCode} sourceCode The source code object to get scopes.
+   * @returns {Object} The `getParamWeight`, `countParams` and `measureFunction` functions.
+   */
+  createParamCounter(option, sourceCode) {
+    const isIgnoredFunction = createMatcher(option.ignoreFunctions);
+    const isIgnoredParam = createMatcher(option.ignoreParams);
+    const checksDictatedArity = Boolean(option.ignoreContextuallyTyped) && typeUtils.hasTypeInformation(sourceCode);
+    const callbackLimits = Object.entries(option.callbacks).map(([pattern, limit]) => ({
+      matches: createMatcher([pattern]),
+      limit
+    }));
+
+    /**
+     * Gets the options which can hold the limit of the given function, by priority: its most
+     * specific kind, then its tier, `exported` or `internal`, then `func`, and finally the
+     * `maximum` or `max` limit of every function, `maximum` winning like in core `max-params`.
+     * Constructors only fall back to `maximum` or `max`.
+     * Tiers are only resolved when a limit or a message is configured for them.
+     * @param {ASTNode} node The function node.
+     * @returns {string[]} The keys of the options.
+     */
+    function getLimitKeys(node) {
+      const kinds = astUtils.getFunctionKinds(node);
+      const hasTiers = TIERS.some(tier => typeof option[tier] === "number" || Boolean(option.messages) && Object.hasOwn(option.messages, tier));
+
+      if (hasTiers && kinds[0] !== "constructor") {
+        kinds.splice(-1, 0, astUtils.isExported(node, sourceCode) ? "exported" : "internal");
+      }
+      return [...kinds, "maximum", "max"];
+    }
+
+    /**
+     * Gets the limit of a function passed as an argument, from the `callbacks` pattern
+     * matching its callee.
+     * @param {ASTNode} node The function node.
+     * @returns {number|"ignore"|undefined} The limit, or `undefined` if the function isn't
+     * an argument of a matching callee.
+     */
+    function getCallbackLimit(node) {
+      if (!isArgument(node)) {
+        return undefined;
+      }
+
+      const calleeName = astUtils.getStaticCalleeName(node.parent.callee);
+      const callback = callbackLimits.find(({ matches }) => matches(calleeName));
+
+      return callback && callback.limit;
+    }
+
+    /**
+     * Gets how many parameters a parameter counts as, according to the counting options.
+     * @param {ASTNode} param The parameter node.
+     * @returns {number} The number of parameters it counts as.
+     */
+    function getParamWeight(param) {
+      const target = param.type === "TSParameterProperty" ? param.parameter : param;
+      const pattern = getPattern(target);
+
+      if (target.type === "RestElement" && option.restParam === "ignore") {
+        return 0;
+      }
+      if (target.type === "AssignmentPattern" && option.defaultedParams === "ignore") {
+        return 0;
+      }
+      if (pattern && option.destructuredProperties === "count-each") {
+        return Math.max(getPatternSize(pattern), 1);
+      }
+      return 1;
+    }
+
+    /**
+     * Counts parameters according to the counting options.
+     * @param {ASTNode[]} params The parameter nodes.
+     * @returns {number} The number of parameters.
+     */
+    function countParams(params) {
+      return params.reduce((count, param) => count + getParamWeight(param), 0);
+    }
+
+    return {
+      getParamWeight,
+      countParams,
+
+      /**
+       * Counts the parameters of a function and gets the limit which applies to it. With the
+       * `curried` option, the parameters of the functions it directly returns are counted with
+       * its own, and these inner functions aren't checked.
+       * @param {ASTNode} node The function node.
+       * @returns {{ max: number|undefined, limitKey: string|undefined, limitKeys: string[], chain: ASTNode[], allParams: ASTNode[], params: ASTNode[], total: number, count: number }|null}
+       * The limit, the option it comes from and the options it could come from, the functions
+       * whose parameters are counted, the parameters without `this`, the counted ones, and their
+       * numbers, or `null` if the function isn't checked.
+       */
+      measureFunction(node) {
+        if (option.curried && astUtils.isCurriedLink(node)) {
+          return null;
+        }
+        if (isIgnoredFunction(astUtils.getFunctionName(node))) {
+          return null;
+        }
+        if (option.ignoreOverrides && astUtils.isOverridingMethod(node, sourceCode)) {
+          return null;
+        }
+
+        const callbackLimit = getCallbackLimit(node);
+
+        if (callbackLimit === "ignore") {
+          return null;
+        }
+
+        const chain = option.curried ? astUtils.getCurriedChain(node) : [node];
+        const allParams = chain.flatMap(link => getParams(link, option.countVoidThis));
+
+        const dictatedArity = checksDictatedArity ? typeUtils.getDictatedArity(node, sourceCode) : null;
+
+        if (dictatedArity !== null && dictatedArity >= allParams.length) {
+          return null;
+        }
+        const params = allParams.filter(param =>
+          !hasDecorator(param, option.ignoredDecorators) && !isIgnoredParam(astUtils.getParamName(param)));
+        const limitKeys = getLimitKeys(node);
+        const limitKey = callbackLimit === undefined ? limitKeys.find(key => typeof option[key] === "number") : "callbacks";
+
+        return {
+          max: callbackLimit === undefined ? limitKey && option[limitKey] : callbackLimit,
+          limitKey,
+          limitKeys,
+          chain,
+          allParams,
+          params,
+          total: allParams.length,
+          count: countParams(params)
+        };
+      }
+    };
+  }
+};
@@ -0,0 +1,32 @@
+const DIRECTIVE = /^\s*better-max-params-allow(?:\s|$)/u;
+
+module.exports = {
+
+  /**
+   * Parses a `better-max-params-allow` directive.
+   *
+   * - `// better-max-params-allow 7 -- generated`  ... `{ limit: 7, reason: "generated" }`
+   * - `// better-max-params-allow 7`  ................ `{ limit: 7, reason: null }`
+   * - `// better-max-params-allow -- generated`  ..... `{ limit: null, reason: "generated" }`
+   * - `// some other comment`  ....................... `null`
+   * @param {Comment} comment The comment to parse.
+   * @returns {{ comment: Comment, limit: number|null, reason: string|null }|null} The directive,
+   * or `null` if the comment isn't a directive.
+   */
+  parseAllowDirective(comment) {
+    if (!DIRECTIVE.test(comment.value)) {
+      return null;
+    }
+
+    const text = comment.value.replace(DIRECTIVE, " ");
+    const separator = text.search(/\s--(?:\s|$)/u);
+    const head = (separator === -1 ? text : text.slice(0, separator)).trim();
+    const reason = separator === -1 ? "" : text.slice(separator).trim().slice(2).trim();
+
+    return {
+      comment,
+      limit: /^\d+$/u.test(head) ? Number(head) : null,
+      reason: reason || null
+    };
+  }
+};
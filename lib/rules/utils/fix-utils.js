@@ -0,0 +1,289 @@
+const astUtils = require("./ast-utils");
+
+/**
+ * Checks whether a parameter can be moved into a destructuring pattern as is: an identifier,
+ * possibly with a default value, without TypeScript annotations or decorators.
+ * @param {ASTNode} param The parameter node.
+ * @returns {boolean} `true` if the parameter can be moved.
+ */
+function isMovableParam(param) {
+  const identifier = param.type === "AssignmentPattern" ? param.left : param;
+
+  return identifier.type === "Identifier" &&
+    !identifier.typeAnnotation &&
+    !identifier.optional &&
+    !(param.decorators && param.decorators.length > 0) &&
+    !(identifier.decorators && identifier.decorators.length > 0);
+}
+
+/**
+ * Gets the variable holding the given function, if the function is declared or assigned once
+ * to a variable.
+ *
+ * - `function foo() {}`  .............. `foo`
+ * - `const foo = () => {}`  ........... `foo`
+ * - `({ foo() {} })`  ................. `null`
+ * @param {ASTNode} node The function node.
+ * @param {SourceCode} sourceCode The source code object to get variables.
+ * @returns {Variable|null} The variable, or `null` if the function isn't held by one.
+ */
+function getFunctionVariable(node, sourceCode) {
+  let declaration = null;
+
+  if (node.type === "FunctionDeclaration" && node.id) {
+    declaration = node;
+  } else if (node.parent.type === "VariableDeclarator" && node.parent.init === node && node.parent.id.type === "Identifier") {
+    declaration = node.parent;
+  }
+  if (!declaration) {
+    return null;
+  }
+
+  const name = declaration.id.name;
+
+  return sourceCode.getDeclaredVariables(declaration).find(variable => variable.name === name) || null;
+}
+
+/**
+ * Gets the calls of the given function in the same file: the references of its variable
+ * which are the callee of a call expression.
+ * @param {ASTNode} node The function node.
+ * @param {SourceCode} sourceCode The source code object to get variables.
+ * @returns {ASTNode[]} The `CallExpression` nodes.
+ */
+function getCallSites(node, sourceCode) {
+  const variable = getFunctionVariable(node, sourceCode);
+
+  if (!variable) {
+    return [];
+  }
+  return variable.references
+    .map(reference => reference.identifier)
+    .filter(identifier => identifier.parent.type === "CallExpression" && identifier.parent.callee === identifier)
+    .map(identifier => identifier.parent);
+}
+
+/**
+ * Gets the range of an argument, including the parentheses wrapping it.
+ * @param {ASTNode} arg The argument node.
+ * @param {ASTNode} call The call expression node.
+ * @param {SourceCode} sourceCode The source code object to get tokens.
+ * @returns {number[]} The range of the argument.
+ */
+function getArgumentRange(arg, call, sourceCode) {
+  const openingParen = sourceCode.getTokenAfter(call.typeArguments || call.callee, token => token.value === "(");
+  let first = sourceCode.getFirstToken(arg);
+  let last = sourceCode.getLastToken(arg);
+
+  for (;;) {
+    const before = sourceCode.getTokenBefore(first);
+    const after = sourceCode.getTokenAfter(last);
+
+    if (before.range[0] <= openingParen.range[0] || before.value !== "(" || after.value !== ")") {
+      return [first.range[0], last.range[1]];
+    }
+    first = before;
+    last = after;
+  }
+}
+
+/**
+ * Checks whether an expression, like the default value of a parameter or an argument, can be
+ * dropped without losing a side effect: a literal, an identifier, a function, or an empty
+ * object or array.
+ * @param {ASTNode} node The expression node.
+ * @returns {boolean} `true` if evaluating the value has no side effect.
+ */
+function isSideEffectFree(node) {
+  switch (node.type) {
+    case "Literal":
+    case "Identifier":
+    case "ArrowFunctionExpression":
+    case "FunctionExpression":
+      return true;
+    case "TemplateLiteral":
+      return node.expressions.length === 0;
+    case "ObjectExpression":
+      return node.properties.length === 0;
+    case "ArrayExpression":
+      return node.elements.length === 0;
+    case "UnaryExpression":
+      return node.operator !== "delete" && isSideEffectFree(node.argument);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Checks whether a parameter can be removed: it is never read or written in the function, it
+ * isn't a parameter property or decorated, and its default value has no side effect.
+ * @param {ASTNode} param The parameter node.
+ * @param {Variable[]} variables The variables declared by the function.
+ * @returns {boolean} `true` if the parameter is unused.
+ */
+function isUnusedParam(param, variables) {
+  if (param.type === "TSParameterProperty" || (param.decorators && param.decorators.length > 0)) {
+    return false;
+  }
+  if (param.type === "AssignmentPattern" && !isSideEffectFree(param.right)) {
+    return false;
+  }
+  return variables
+    .filter(variable => variable.defs.some(def =>
+      def.type === "Parameter" && def.name.range[0] >= param.range[0] && def.name.range[1] <= param.range[1]))
+    .every(variable => variable.references.every(reference => reference.init));
+}
+
+/**
+ * Checks whether a function reads its own `arguments` object.
+ * @param {ASTNode} node The function node.
+ * @param {SourceCode} sourceCode The source code object to get scopes.
+ * @returns {boolean} `true` if the function reads `arguments`.
+ */
+function readsArguments(node, sourceCode) {
+  const variable = sourceCode.getScope(node).set.get("arguments");
+
+  return Boolean(variable) && variable.references.length > 0;
+}
+
+/**
+ * Gets the calls of a function when they are all of its uses, so that rewriting them along
+ * with the function keeps the file working: the function must be held by a file-private
+ * variable which is only called, without spread arguments. Exported functions, global
+ * functions of scripts and functions reading `arguments` have unknown callers.
+ * @param {ASTNode} node The function node.
+ * @param {SourceCode} sourceCode The source code object to get variables and scopes.
+ * @returns {ASTNode[]|null} The `CallExpression` nodes, or `null` if some uses can't be rewritten.
+ */
+function getRewritableCalls(node, sourceCode) {
+  const variable = getFunctionVariable(node, sourceCode);
+
+  if (!variable || variable.scope.type === "global" || astUtils.isExported(node, sourceCode) || readsArguments(node, sourceCode)) {
+    return null;
+  }
+
+  const calls = getCallSites(node, sourceCode);
+
+  if (calls.length !== variable.references.filter(reference => !reference.init).length || calls.some(call => call.arguments.some(arg => arg.type === "SpreadElement"))) {
+    return null;
+  }
+  return calls;
+}
+
+/**
+ * Gets the range to remove to drop the trailing nodes of a list, from the given index: from the
+ * end of the node before it, or from the start of the first dropped node, to the end of the
+ * last node and its trailing comma.
+ * @param {ASTNode[]} nodes The nodes of the list, like the parameters or the arguments.
+ * @param {number} index The index of the first dropped node.
+ * @param {number[][]} ranges The ranges of the nodes.
+ * @param {SourceCode} sourceCode The source code object to get tokens.
+ * @returns {number[]} The range to remove.
+ */
+function getTrailingRange(nodes, index, ranges, sourceCode) {
+  const tokenAfter = sourceCode.getTokenAfter({ range: ranges.at(-1) });
+  const end = tokenAfter.value === "," ? tokenAfter.range[1] : ranges.at(-1)[1];
+
+  return [index > 0 ? ranges[index - 1][1] : ranges[index][0], end];
+}
+
+module.exports = {
+  getCallSites,
+  getFunctionVariable,
+
+  /**
+   * Creates a fix which moves the parameters after the first `keep` ones into a destructured
+   * options object, along with the matching arguments of the calls of the function in the
+   * same file.
+   *
+   * - `function f(a, b, c = 1) {} f(x, y, z)`
+   * - `function f(a, { b, c = 1 } = {}) {} f(x, { b: y, c: z })`
+   *
+   * Every use of the function must be a call which can be rewritten, so no fix is created for
+   * methods, exported functions, functions used as values or reading `arguments`, nor if a
+   * call spreads its arguments or passes more arguments than parameters.
+   * @param {ASTNode} node The function node.
+   * @param {ASTNode[]} params The parameters of the function, without `this`.
+   * @param {number} keep The number of parameters to keep positional.
+   * @param {SourceCode} sourceCode The source code object to get the text.
+   * @returns {Function|null} The fix function, or `null` if the parameters can't be moved.
+   */
+  createOptionsObjectFix(node, params, keep, sourceCode) {
+    const moved = params.slice(keep);
+
+    if (!node.body || keep < 0 || moved.length < 2 || !moved.every(isMovableParam)) {
+      return null;
+    }
+
+    const allCalls = getRewritableCalls(node, sourceCode);
+
+    if (!allCalls || allCalls.some(call => call.arguments.length > params.length)) {
+      return null;
+    }
+
+    const names = moved.map(astUtils.getParamName);
+    const pattern = `{ ${moved.map(param => sourceCode.getText(param)).join(", ")} } = {}`;
+    const calls = allCalls.filter(call => call.arguments.length > keep);
+
+    return fixer => [
+      fixer.replaceTextRange([moved[0].range[0], moved.at(-1).range[1]], pattern),
+      ...calls.map(call => {
+        const args = call.arguments.slice(keep);
+        const ranges = args.map(arg => getArgumentRange(arg, call, sourceCode));
+        const properties = args.map((arg, index) => (arg.type === "Identifier" && arg.name === names[index]
+          ? arg.name
+          : `${names[index]}: ${sourceCode.text.slice(...ranges[index])}`));
+
+        return fixer.replaceTextRange([ranges[0][0], ranges.at(-1)[1]], `{ ${properties.join(", ")} }`);
+      })
+    ];
+  },
+
+  /**
+   * Creates a fix which removes the parameters after the first `keep` ones, when none of them
+   * is used, along with the matching arguments of the calls of the function in the same file.
+   *
+   * - `function f(a, b, c) { return a; } f(x, y, z)`
+   * - `function f(a) { return a; } f(x)`
+   *
+   * The function must be held by a file-private variable which is only called, so that every
+   * call is known: exported functions, global functions of scripts, functions used as values
+   * and functions reading `arguments` aren't fixed, nor are calls spreading their arguments or
+   * passing removed arguments with side effects.
+   * @param {ASTNode} node The function node.
+   * @param {ASTNode[]} params The parameters of the function, without `this`.
+   * @param {number} keep The number of parameters to keep.
+   * @param {SourceCode} sourceCode The source code object to get variables and tokens.
+   * @returns {Function|null} The fix function, or `null` if the parameters can't be removed.
+   */
+  createUnusedParamsFix(node, params, keep, sourceCode) {
+    const removed = params.slice(keep);
+    const variables = sourceCode.getDeclaredVariables(node);
+
+    if (!node.body || keep < 0 || removed.length === 0 || !removed.every(param => isUnusedParam(param, variables))) {
+      return null;
+    }
+
+    const calls = getRewritableCalls(node, sourceCode);
+
+    if (!calls || !calls.every(call => call.arguments.slice(keep).every(isSideEffectFree))) {
+      return null;
+    }
+
+    const first = node.params.indexOf(removed[0]);
+    const paramsRange = getTrailingRange(node.params, first, node.params.map(param => param.range), sourceCode);
+    const hasParens = sourceCode.getTokenBefore(node.params[0]).value === "(";
+
+    return fixer => [
+      hasParens ? fixer.removeRange(paramsRange) : fixer.replaceTextRange(paramsRange, "()"),
+      ...calls
+        .filter(call => call.arguments.length > keep)
+        .map(call => fixer.removeRange(getTrailingRange(
+          call.arguments,
+          keep,
+          call.arguments.map(arg => getArgumentRange(arg, call, sourceCode)),
+          sourceCode
+        )))
+    ];
+  }
+};
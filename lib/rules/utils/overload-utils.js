@@ -0,0 +1,108 @@
+const astUtils = require("./ast-utils");
+const { FUNCTION_TYPES } = require("./count-utils");
+
+/**
+ * Gets what identifies the overload set of a function: the node containing its declarations
+ * and a key which is shared by all the overloads. Declarations which can't be overloaded
+ * return `null`.
+ *
+ * - `function foo(a); function foo(a, b) {}`  ... `Program`, `"function foo"`
+ * - `class A { foo(a); foo(a, b) {} }`  ......... `ClassBody`, `"method foo"`
+ * - `interface I { foo(a); foo(a, b); }`  ....... `TSInterfaceBody`, `"method foo"`
+ * @param {ASTNode} node The function node.
+ * @returns {{ container: ASTNode, key: string }|null} The overload set, if any.
+ */
+function getOverloadSet(node) {
+  const parent = node.parent;
+
+  if ((node.type === "TSDeclareFunction" || node.type === "FunctionDeclaration") && node.id) {
+    const statement = parent.type.startsWith("Export") ? parent : node;
+
+    return { container: statement.parent, key: `function ${node.id.name}` };
+  }
+
+  const member = node.type === "TSMethodSignature" ? node : parent;
+  const name = astUtils.getStaticPropertyName(member);
+
+  if (name !== null && (member.type === "MethodDefinition" || member.type === "TSAbstractMethodDefinition" || member.type === "TSMethodSignature")) {
+    return { container: member.parent, key: `${member.static ? "static " : ""}${member.kind} ${name}` };
+  }
+
+  return null;
+}
+
+/**
+ * Gets the function declared by a statement or a member of the container of an overload set.
+ * @param {ASTNode} child The statement or member node.
+ * @returns {ASTNode|null} The function node, or `null` if it doesn't declare a function.
+ */
+function getDeclaredFunction(child) {
+  let declared = child;
+
+  if (child.type.startsWith("Export")) {
+    declared = child.declaration;
+  } else if (child.type === "MethodDefinition" || child.type === "TSAbstractMethodDefinition") {
+    declared = child.value;
+  }
+  return declared && FUNCTION_TYPES.includes(declared.type) ? declared : null;
+}
+
+module.exports = {
+
+  /**
+   * Gets the declarations of the overload set of a function, in order: its signatures and
+   * its implementation.
+   *
+   * - `function foo(a); function foo(a, b) {}`  ... both declarations
+   * - `const foo = (a) => {}`  .................... the arrow function alone
+   * @param {ASTNode} node The function node.
+   * @returns {ASTNode[]} The function nodes of the overload set, or the node alone if it can't
+   * be overloaded.
+   */
+  getOverloads(node) {
+    const overloadSet = getOverloadSet(node);
+
+    if (!overloadSet) {
+      return [node];
+    }
+
+    const overloads = (overloadSet.container.members || overloadSet.container.body)
+      .map(getDeclaredFunction)
+      .filter(candidate => {
+        const candidateSet = candidate && getOverloadSet(candidate);
+
+        return Boolean(candidateSet) && candidateSet.key === overloadSet.key;
+      });
+
+    return overloads.length > 0 ? overloads : [node];
+  },
+
+  /**
+   * Creates a function which tells whether another overload of a function was already
+   * reported, so that an overload set is reported once.
+   * @returns {Function} The function, taking the function node, which returns `true` if the
+   * overload set was already reported, and marks it as reported otherwise.
+   */
+  createOverloadTracker() {
+    const reportedOverloads = new WeakMap();
+
+    return node => {
+      const overloadSet = getOverloadSet(node);
+
+      if (!overloadSet) {
+        return false;
+      }
+      if (!reportedOverloads.has(overloadSet.container)) {
+        reportedOverloads.set(overloadSet.container, new Set());
+      }
+
+      const reportedKeys = reportedOverloads.get(overloadSet.container);
+
+      if (reportedKeys.has(overloadSet.key)) {
+        return true;
+      }
+      reportedKeys.add(overloadSet.key);
+      return false;
+    };
+  }
+};
@@ -0,0 +1,57 @@
+/**
+ * Escapes the characters of a string which have a special meaning in a regular expression.
+ * @param {string} string The string to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.+^${}()|[\]\\]/gu, "\\$&");
+}
+
+/**
+ * Converts a pattern to a regular expression.
+ *
+ * - `"/^_/u"`  ....... `/^_/u` (a regular expression literal)
+ * - `"_*"`  .......... `/^_.*$/u`
+ * - `"*.reduce"`  .... `/^.*\.reduce$/u`
+ * - `"on?"`  ......... `/^on.$/u`
+ * @param {string} pattern A regular expression literal, or a glob where `*` matches any
+ * sequence of characters and `?` any single character.
+ * @returns {RegExp} The regular expression.
+ */
+function toRegExp(pattern) {
+  const literal = /^\/(.+)\/([a-z]*)$/u.exec(pattern);
+
+  if (literal) {
+    return new RegExp(literal[1], literal[2]);
+  }
+
+  const source = pattern
+    .split(/([*?])/u)
+    .map(part => {
+      if (part === "*") {
+        return ".*";
+      }
+      if (part === "?") {
+        return ".";
+      }
+      return escapeRegExp(part);
+    })
+    .join("");
+
+  return new RegExp(`^${source}$`, "u");
+}
+
+module.exports = {
+  escapeRegExp,
+
+  /**
+   * Creates a function which checks whether a name matches any of the given patterns.
+   * @param {string[]} [patterns] Regular expression literals or globs, see `toRegExp`.
+   * @returns {(name: string|null) => boolean} The function, which never matches a `null` name.
+   */
+  createMatcher(patterns = []) {
+    const regExps = patterns.map(toRegExp);
+
+    return name => name !== null && regExps.some(regExp => regExp.test(name));
+  }
+};
@@ -0,0 +1,25 @@
+module.exports = {
+
+  /**
+   * Converts the first letter of a string to uppercase.
+   * @param {string} string The string to operate on
+   * @returns {string} The converted string
+   */
+  upperCaseFirst(string) {
+    if (string.length <= 1) {
+      return string.toUpperCase();
+    }
+    return string[0].toUpperCase() + string.slice(1);
+  },
+
+  /**
+   * Replaces the `{{placeholders}}` of a message template with their data, like ESLint does
+   * for the messages of rules. Placeholders without data are left as is.
+   * @param {string} template The template of the message.
+   * @param {Object} data The values of the placeholders.
+   * @returns {string} The message.
+   */
+  interpolate(template, data) {
+    return template.replace(/\{\{\s*([^{}]+?)\s*\}\}/gu, (placeholder, key) => key in data ? String(data[key]) : placeholder);
+  }
+};
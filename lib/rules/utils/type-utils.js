@@ -0,0 +1,157 @@
+const astUtils = require("./ast-utils");
+
+// `ts.SymbolFlags.Optional`, the flag of the properties declared with `?`
+const OPTIONAL_SYMBOL_FLAG = 1 << 24;
+
+// `ts.SymbolFlags.Class`, the flag of class declarations and expressions
+const CLASS_SYMBOL_FLAG = 1 << 5;
+
+/**
+ * Gets the number of parameters a call signature dictates. A rest parameter dictates none, so
+ * that `(...args: any[]) => void` doesn't allow any number of parameters.
+ * @param {ts.Signature} signature The signature.
+ * @returns {number} The number of parameters, without the rest parameter.
+ */
+function getSignatureArity(signature) {
+  const last = signature.parameters.at(-1);
+  const declaration = last && last.valueDeclaration;
+
+  return declaration && declaration.dotDotDotToken ? signature.parameters.length - 1 : signature.parameters.length;
+}
+
+/**
+ * Gets the highest number of parameters accepted by the call signatures of a type, or of the
+ * members of a union type.
+ * @param {ts.Type} type The type.
+ * @returns {number|null} The number of parameters, or `null` if the type can't be called.
+ */
+function getTypeArity(type) {
+  const types = type.isUnion() ? type.types : [type];
+  const arities = types.flatMap(member => member.getCallSignatures()).map(getSignatureArity);
+
+  return arities.length > 0 ? Math.max(...arities) : null;
+}
+
+/**
+ * Gets the type of a property of a type, as seen from the given location.
+ * @param {ts.TypeChecker} checker The type checker.
+ * @param {ts.Type|undefined} type The type holding the property.
+ * @param {string|null} name The name of the property.
+ * @param {ts.Node} location The node from which the property is accessed.
+ * @returns {ts.Type|null} The type of the property, or `null` if the type has no such property.
+ */
+function getPropertyType(checker, type, name, location) {
+  const property = type && name !== null ? type.getProperty(name) : undefined;
+
+  return property ? checker.getTypeOfSymbolAtLocation(property, location) : null;
+}
+
+/**
+ * Gets the types which dictate the signature of a function:
+ *
+ * - the contextual type of a function expression, like the annotation of its variable or the
+ *   parameter it is passed to;
+ * - the type of the property of the contextual type of an object literal, for its methods;
+ * - the type of the member of the interfaces a class `implements`, for its methods.
+ * @param {ASTNode} node The function node.
+ * @param {Object} services The parser services, with the program and the node maps.
+ * @returns {ts.Type[]} The types.
+ */
+function getDictatingTypes(node, services) {
+  const checker = services.program.getTypeChecker();
+  const member = node.parent;
+  const name = astUtils.getFunctionName(node);
+  const isMethod = member.type === "MethodDefinition" || member.type === "Property" && (member.method || member.kind !== "init");
+  const types = [];
+
+  if (!isMethod && (node.type === "ArrowFunctionExpression" || node.type === "FunctionExpression")) {
+    types.push(checker.getContextualType(services.esTreeNodeToTSNodeMap.get(node)));
+  }
+  if (member.type === "Property" && isMethod) {
+    const object = services.esTreeNodeToTSNodeMap.get(member.parent);
+
+    types.push(getPropertyType(checker, checker.getContextualType(object), name, object));
+  }
+  if ((member.type === "MethodDefinition" || member.type === "PropertyDefinition") && member.parent.parent.implements) {
+    member.parent.parent.implements.forEach(heritage => {
+      const tsHeritage = services.esTreeNodeToTSNodeMap.get(heritage);
+
+      types.push(getPropertyType(checker, checker.getTypeAtLocation(tsHeritage), name, tsHeritage));
+    });
+  }
+  return types;
+}
+
+module.exports = {
+
+  /**
+   * Checks whether the type information of a file is available, from a parser like
+   * `@typescript-eslint/parser` with a TypeScript project.
+   * @param {SourceCode} sourceCode The source code object.
+   * @returns {boolean} `true` if the parser services hold a TypeScript program.
+   */
+  hasTypeInformation(sourceCode) {
+    const services = sourceCode.parserServices;
+
+    return Boolean(services && services.program && services.esTreeNodeToTSNodeMap);
+  },
+
+  /**
+   * Gets the number of parameters required by the type which dictates the signature of a
+   * function, like its contextual type or an implemented interface.
+   *
+   * - `const f: (a: A, b: B) => void = (a, b) => {}`  ........... `2`
+   * - `class C implements I { m(a) {} }` with `m(a, b): void`  ... `2` for `m`
+   * - `const f = (a, b) => {}`  ................................. `null`
+   * @param {ASTNode} node The function node.
+   * @param {SourceCode} sourceCode The source code object, with type information.
+   * @returns {number|null} The number of parameters, without a rest parameter, or `null` if no
+   * type dictates the signature.
+   */
+  getDictatedArity(node, sourceCode) {
+    const arities = getDictatingTypes(node, sourceCode.parserServices)
+      .filter(Boolean)
+      .map(getTypeArity)
+      .filter(arity => arity !== null);
+
+    return arities.length > 0 ? Math.max(...arities) : null;
+  },
+
+  /**
+   * Gets the properties of the type of a parameter, when it is an object type declared in the
+   * project, like an interface, a type literal, or a mapped type of those. Classes, and types
+   * of the standard library or of `node_modules`, aren't options objects.
+   *
+   * - `function f(options: { a: A; b?: B }) {}`  ... `{ required: 1, optional: 1 }`
+   * - `function f(options: Partial<Options>) {}`  .. every property of `Options`, optional
+   * - `function f(user: User) {}`, a class  ........ `null`
+   * - `function f(date: Date) {}`  ................. `null`
+   * @param {ASTNode} node The parameter node, without its default value.
+   * @param {SourceCode} sourceCode The source code object, with type information.
+   * @returns {{ required: number, optional: number }|null} The number of required and optional
+   * properties, or `null` if the type isn't an options object type of the project.
+   */
+  getObjectTypeProperties(node, sourceCode) {
+    const { program, esTreeNodeToTSNodeMap } = sourceCode.parserServices;
+    const type = program.getTypeChecker().getTypeAtLocation(esTreeNodeToTSNodeMap.get(node));
+    const properties = type.getProperties();
+    const isOptionsDeclaration = declaration => {
+      const file = declaration.getSourceFile();
+      const container = declaration.parent && declaration.parent.symbol;
+
+      return !program.isSourceFileDefaultLibrary(file) &&
+        !program.isSourceFileFromExternalLibrary(file) &&
+        !(container && (container.flags & CLASS_SYMBOL_FLAG) !== 0);
+    };
+    const isOptionsProperty = property => Boolean(property.declarations) && property.declarations.length > 0 &&
+      property.declarations.every(isOptionsDeclaration);
+
+    if (type.getCallSignatures().length > 0 || !properties.every(isOptionsProperty)) {
+      return null;
+    }
+
+    const optional = properties.filter(property => (property.flags & OPTIONAL_SYMBOL_FLAG) !== 0).length;
+
+    return { required: properties.length - optional, optional };
+  }
+};
@@ -0,0 +1,17 @@
+"use strict";
+
+const tsParser = require("@typescript-eslint/parser");
+const betterMaxParams = require("../../../lib");
+
+module.exports = [
+  {
+    files: ["**/*.ts"],
+    languageOptions: { parser: tsParser }
+  },
+  {
+    plugins: { "better-max-params": betterMaxParams },
+    rules: {
+      "better-max-params/better-max-params": ["error", { func: 2, callbacks: { "*.reduce": "ignore" } }]
+    }
+  }
+];
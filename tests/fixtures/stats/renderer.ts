@@ -0,0 +1,7 @@
+class Renderer {
+  constructor(private readonly canvas: Canvas, scale: number) {}
+
+  render(scene: Scene, camera: Camera, options: RenderOptions) {}
+
+  clear() {}
+}
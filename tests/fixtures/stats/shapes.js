@@ -0,0 +1,5 @@
+function area(width, height) {}
+
+function draw(canvas, shape, x, y) {}
+
+const total = shapes.reduce((sum, shape) => sum + area(shape.width, shape.height), 0);
@@ -0,0 +1,21 @@
+type Handler = (req: Request, res: Response, next: () => void) => void;
+
+declare function on(listener: (...args: any[]) => void): void;
+
+interface Service {
+  run(a: string, b: string, c: string): void;
+}
+
+declare class User {
+  a: number;
+  b: number;
+  c: number;
+  save(): void;
+}
+
+interface ServerOptions {
+  host: string;
+  port: number;
+  tls?: boolean;
+  timeout?: number;
+}
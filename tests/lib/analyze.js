@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Count the parameters of every function of a file, as `better-max-params` does.
+ * @author GP4cK
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const assert = require("node:assert"),
+  tsParser = require("@typescript-eslint/parser"),
+  { analyze } = require("../../lib");
+
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+describe("analyze", () => {
+  it("returns every function with its kind, name, location and counts", () => {
+    const functions = analyze("function foo(a, b) {}\nclass A { constructor(a, { b, c }) {} static bar() {} }", {
+      func: 1,
+      destructuredProperties: "count-each"
+    });
+
+    assert.deepStrictEqual(functions, [
+      {
+        kind: "func",
+        name: "Function 'foo'",
+        loc: { start: { line: 1, column: 0 }, end: { line: 1, column: 12 } },
+        count: 2,
+        total: 2,
+        max: 1
+      },
+      {
+        kind: "constructor",
+        name: "Constructor",
+        loc: { start: { line: 2, column: 10 }, end: { line: 2, column: 21 } },
+        count: 3,
+        total: 2,
+        max: null
+      },
+      {
+        kind: "staticMethod",
+        name: "Static method 'bar'",
+        loc: { start: { line: 2, column: 38 }, end: { line: 2, column: 48 } },
+        count: 0,
+        total: 0,
+        max: 1
+      }
+    ]);
+  });
+
+  it("leaves out the functions the rule skips", () => {
+    const functions = analyze("function legacyFoo(a) {} items.reduce((acc, item) => acc, 0); function bar(a) {}", {
+      ignoreFunctions: ["legacy*"],
+      callbacks: { "*.reduce": "ignore" }
+    });
+
+    assert.deepStrictEqual(functions.map(fn => fn.name), ["Function 'bar'"]);
+  });
+
+  it("counts a curried chain as one function with curried", () => {
+    const functions = analyze("const handler = (a) => (b) => (c, d) => a;", { curried: true });
+
+    assert.deepStrictEqual(functions.map(fn => [fn.name, fn.count]), [["Arrow function", 4]]);
+  });
+
+  it("parses the text with the given language options", () => {
+    const functions = analyze("interface I { foo(this: I, a: A): void }", {
+      languageOptions: { parser: tsParser },
+      filename: "src/i.ts"
+    });
+
+    assert.deepStrictEqual(functions.map(fn => [fn.kind, fn.name, fn.count]), [["method", "Method signature 'foo'", 1]]);
+  });
+
+  it("skips declaration files with ignoreDeclarationFiles", () => {
+    const functions = analyze("declare function foo(a: A): void;", {
+      ignoreDeclarationFiles: true,
+      languageOptions: { parser: tsParser },
+      filename: "/project/types/foo.d.ts"
+    });
+
+    assert.deepStrictEqual(functions, []);
+  });
+
+  it("throws on parsing errors", () => {
+    assert.throws(() => analyze("function ("), SyntaxError);
+  });
+
+  it("throws on invalid options", () => {
+    assert.throws(() => analyze("function foo() {}", { func: -1 }), /"better-max-params\/better-max-params":[^]*Value -1 should be >= 0/u);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Formatter writing the violations of `better-max-params` as a baseline file.
+ * @author GP4cK
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const assert = require("node:assert"),
+  path = require("node:path"),
+  { Linter } = require("eslint"),
+  tsParser = require("@typescript-eslint/parser"),
+  plugin = require("../../../lib"),
+  formatBaseline = require("../../../lib/formatters/baseline");
+
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const cwd = path.join(__dirname, "project");
+
+/**
+ * Lints a file of the test project with the plugin.
+ * @param {string} file The path of the file, relative to the project.
+ * @param {string} code The code to lint.
+ * @param {Object} [options] The options of `better-max-params`.
+ * @returns {Object} The lint result.
+ */
+function lint(file, code, options = { func: 2, constructor: 1, injectedDependencies: 1, maxDestructuredProperties: 1 }) {
+  const linter = new Linter({ configType: "flat" });
+  const messages = linter.verify(code, {
+    plugins: { "better-max-params": plugin },
+    languageOptions: { parser: tsParser },
+    rules: {
+      "better-max-params/better-max-params": ["error", options],
+      "no-unused-vars": "error"
+    }
+  });
+
+  return { filePath: path.join(cwd, file), messages };
+}
+
+describe("baseline formatter", () => {
+  it("records the parameter violations by file", () => {
+    const results = [
+      lint("src/b.ts", "function foo(a, b, c) {} const bar = ({ x, y }, b, c, d) => {};"),
+      lint("src/a.ts", "class A { constructor(a, b, private c: C) {} }"),
+      lint("src/c.ts", "function ok(a, b) {}")
+    ];
+
+    assert.deepStrictEqual(JSON.parse(formatBaseline(results, { cwd })), {
+      "src/a.ts": [{ name: "Constructor", count: 2 }],
+      "src/b.ts": [{ name: "Function 'foo'", count: 3 }, { name: "Arrow function", count: 4 }]
+    });
+  });
+
+  it("records the violations of the exported and internal limits", () => {
+    const results = [lint("src/a.ts", "export function foo(a, b, c) {} function bar(a, b) {}", { exported: 2, internal: 1 })];
+
+    assert.deepStrictEqual(JSON.parse(formatBaseline(results, { cwd })), {
+      "src/a.ts": [{ name: "Function 'foo'", count: 3 }, { name: "Function 'bar'", count: 2 }]
+    });
+  });
+
+  it("records the violations of the injected dependencies and the parameters forwarded to super()", () => {
+    const results = [
+      lint("src/a.ts", "class A { constructor(a, private b: B, private c: C) {} }", { constructor: 1, injectedDependencies: 1 }),
+      lint("src/b.ts", "class B extends A { constructor(a, b, c, ...d) { super(a, b, c); this.d = d; } }", { constructor: 1, constructorSuperForwarding: 2 })
+    ];
+
+    assert.deepStrictEqual(JSON.parse(formatBaseline(results, { cwd })), {
+      "src/a.ts": [{ name: "Constructor", count: 2 }],
+      "src/b.ts": [{ name: "Constructor", count: 3 }]
+    });
+  });
+
+  it("records the violations with a custom hint", () => {
+    const results = [lint("src/a.ts", "function foo(a, b, c) {} export function bar(a, b) {}", {
+      func: 2,
+      exported: 1,
+      messages: { func: { hint: "Use an options object." }, exported: { hint: "Keep exported\nsignatures short." } }
+    })];
+
+    assert.deepStrictEqual(JSON.parse(formatBaseline(results, { cwd })), {
+      "src/a.ts": [{ name: "Function 'foo'", count: 3 }, { name: "Function 'bar'", count: 2 }]
+    });
+  });
+
+  it("fails on the violations with a custom message template", () => {
+    const results = [lint("src/a.ts", "function foo(a, b, c) {}", { func: 2, messages: { func: { message: "{{name}} takes {{count}} parameters." } } })];
+
+    assert.throws(() => formatBaseline(results, { cwd }), /can't be generated from the custom message "Function 'foo' takes 3 parameters\."/u);
+  });
+
+  it("outputs an empty baseline without violations", () => {
+    assert.strictEqual(formatBaseline([lint("src/a.ts", "function ok() {}")], { cwd }), "{}");
+  });
+});
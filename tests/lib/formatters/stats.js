@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Formatters writing the parameter counts of the linted files.
+ * @author GP4cK
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const assert = require("node:assert"),
+  fs = require("node:fs"),
+  os = require("node:os"),
+  path = require("node:path"),
+  { ESLint } = require("eslint"),
+  formatStatsJson = require("../../../lib/formatters/stats-json"),
+  formatStatsMarkdown = require("../../../lib/formatters/stats-markdown");
+
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const cwd = path.join(__dirname, "../../fixtures/stats");
+
+/**
+ * Lints the files of the stats fixture with its own config.
+ * @returns {Promise<Object[]>} The lint results.
+ */
+function lintFixture() {
+  return new ESLint({ cwd }).lintFiles(["shapes.js", "renderer.ts"]);
+}
+
+describe("stats formatters", () => {
+  let results;
+
+  before(async () => {
+    results = await lintFixture();
+  });
+
+  it("summarizes the parameter counts as JSON", async () => {
+    const stats = JSON.parse(await formatStatsJson(results, { cwd }));
+
+    assert.strictEqual(stats.files, 2);
+    assert.deepStrictEqual(stats.all, {
+      functions: 5,
+      max: 4,
+      histogram: { 0: 1, 1: 0, 2: 2, 3: 1, 4: 1 },
+      percentiles: { p50: 2, p75: 3, p90: 4, p95: 4, p99: 4 }
+    });
+    assert.deepStrictEqual(Object.keys(stats.kinds), ["constructor", "func", "method"]);
+    assert.deepStrictEqual(stats.kinds.method.histogram, { 0: 1, 1: 0, 2: 0, 3: 1 });
+    assert.deepStrictEqual(stats.worstOffenders[0], {
+      file: "shapes.js",
+      line: 3,
+      column: 1,
+      name: "Function 'draw'",
+      kind: "func",
+      count: 4,
+      max: 2
+    });
+    assert.strictEqual(stats.worstOffenders.length, 4);
+  });
+
+  it("summarizes the parameter counts as Markdown", async () => {
+    const markdown = await formatStatsMarkdown(results, { cwd });
+
+    assert.match(markdown, /^# Parameter counts\n\n5 functions in 2 files\.\n/u);
+    assert.match(markdown, /^\| All \| 5 \| 2 \| 3 \| 4 \| 4 \| 4 \| 4 \|$/mu);
+    assert.match(markdown, /^### `method`\n\n\| Parameters \| Functions \| {2}\|\n\| ---: \| ---: \| --- \|\n\| 0 \| 1 \| █{20} \|$/mu);
+    assert.match(markdown, /^\| Constructor \| `constructor` \| 2 \| - \| `renderer\.ts:2:3` \|$/mu);
+  });
+
+  it("reads the config file named by BETTER_MAX_PARAMS_CONFIG", async () => {
+    process.env.BETTER_MAX_PARAMS_CONFIG = "custom.config.js";
+
+    try {
+      const stats = JSON.parse(await formatStatsJson(results, { cwd }));
+
+      assert.strictEqual(stats.all.functions, 5);
+      assert.strictEqual(stats.worstOffenders[0].max, 3);
+    } finally {
+      delete process.env.BETTER_MAX_PARAMS_CONFIG;
+    }
+  });
+
+  it("skips the files without a config file", async () => {
+    const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), "better-max-params-"));
+
+    try {
+      const stats = JSON.parse(await formatStatsJson(results, { cwd: emptyDir }));
+      const markdown = await formatStatsMarkdown(results, { cwd: emptyDir });
+
+      assert.strictEqual(stats.skippedFiles, 2);
+      assert.strictEqual(stats.all.functions, 0);
+      assert.match(markdown, /^2 files were skipped: no ESLint config file was found for them\./mu);
+    } finally {
+      fs.rmSync(emptyDir, { recursive: true });
+    }
+  });
+
+  it("skips the files which can't be parsed", async () => {
+    const [result] = await new ESLint({ cwd }).lintText("function (", { filePath: path.join(cwd, "broken.js") });
+    const stats = JSON.parse(await formatStatsJson([result], { cwd }));
+
+    assert.strictEqual(stats.all.functions, 0);
+    assert.deepStrictEqual(stats.worstOffenders, []);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Tests for the plugin definition and its shareable configs.
+ * @author GP4cK
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const assert = require("node:assert");
+const { Linter } = require("eslint");
+const plugin = require("../../lib");
+const { name, version } = require("../../package.json");
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const configNames = ["recommended", "strict", "angular", "nestjs", "express", "react"];
+const code = "function test(a, b, c, d, e, f, g, h, i) {}";
+
+describe("plugin", () => {
+  it("exposes its name and version", () => {
+    assert.deepStrictEqual(plugin.meta, { name, version });
+  });
+
+  configNames.forEach(configName => {
+    it(`exposes a flat ${configName} config`, () => {
+      const linter = new Linter({ configType: "flat" });
+      const messages = linter.verify(code, [plugin.configs[configName]]);
+
+      assert.deepStrictEqual(messages.map(message => message.ruleId), ["better-max-params/better-max-params"]);
+    });
+
+    it(`exposes a legacy ${configName} config`, () => {
+      const linter = new Linter({ configType: "eslintrc" });
+
+      Object.entries(plugin.rules).forEach(([ruleName, rule]) => linter.defineRule(`better-max-params/${ruleName}`, rule));
+
+      const { plugins, ...config } = plugin.configs[`legacy-${configName}`];
+      const messages = linter.verify(code, config);
+
+      assert.deepStrictEqual(plugins, ["better-max-params"]);
+      assert.deepStrictEqual(messages.map(message => message.ruleId), ["better-max-params/better-max-params"]);
+    });
+  });
+});
@@ -9,7 +9,17 @@
 //------------------------------------------------------------------------------
 
 const rule = require("../../../lib/rules/better-max-params"),
-  RuleTester = require("eslint").RuleTester;
+  RuleTester = require("eslint").RuleTester,
+  tsParser = require("@typescript-eslint/parser"),
+  path = require("node:path");
+
+const legacyFile = path.join(__dirname, "../../fixtures/legacy.js");
+const baseline = "tests/fixtures/baseline.json";
+const typedFile = path.join(__dirname, "../../fixtures/typed/file.ts");
+const typedLanguageOptions = {
+  parser: tsParser,
+  parserOptions: { project: "./tsconfig.json", tsconfigRootDir: path.dirname(typedFile) }
+};
 
 
 //------------------------------------------------------------------------------
@@ -25,44 +35,288 @@ ruleTester.run("better-max-params", rule, {
     { code: "var test = (a, b, c) => {};", options: [{ func: 3 }], languageOptions: { ecmaVersion: 6 } },
     { code: "var test = function test(a, b, c) {};", options: [{ func: 3 }] },
     { code: "class Test { constructor(a, b, c) {} }", options: [{ func: 2, constructor: 3 }], languageOptions: { ecmaVersion: 6 } },
+    { code: "class Test { constructor(a, b, c) {} }", options: [{ func: 2 }] },
+    { code: "function test() {}", options: [{ func: 0, method: 1 }] },
+
+    // Kind specific limits
+    { code: "class Test { method(a, b, c) {} }", options: [{ func: 2, method: 3 }] },
+    { code: "class Test { static method(a, b, c) {} }", options: [{ method: 2, staticMethod: 3 }] },
+    { code: "class Test { #helper(a, b, c, d) {} method(a, b) {} }", options: [{ method: 2, privateMethod: 4 }] },
+    { code: "class Test { #helper = (a, b, c, d) => {} }", options: [{ method: 2, privateMethod: 4 }] },
+    { code: "var test = { method(a, b, c) {} };", options: [{ method: 2, objectMethod: 3 }] },
+    { code: "var test = { method(a, b) {} };", options: [{ func: 1, method: 2 }] },
+    { code: "var test = (a, b, c) => {};", options: [{ func: 2, arrow: 3 }] },
+    { code: "function* test(a, b, c) {}", options: [{ func: 2, generator: 3 }] },
+    { code: "async function test(a, b, c) {}", options: [{ func: 2, async: 3 }] },
+    { code: "class Test { async method(a, b, c) {} }", options: [{ method: 2, async: 3 }] },
+
+    // TypeScript
+    { code: "function test(this: Test, a: A, b: B) {}", options: [{ func: 2 }], languageOptions: { parser: tsParser } },
+    { code: "type Test = (this: Window, a: A) => void;", options: [{ func: 1 }], languageOptions: { parser: tsParser } },
+    { code: "interface Test { method(a: A, b: B): void }", options: [{ func: 1, method: 2 }], languageOptions: { parser: tsParser } },
+    // Ignore patterns
+    { code: "function legacyTest(a, b, c) {}", options: [{ func: 2, ignoreFunctions: ["legacy*"] }] },
+    { code: "var test = { legacyTest(a, b, c) {} };", options: [{ func: 2, ignoreFunctions: ["/^legacy/u"] }] },
+    { code: "const legacyTest = (a, b, c) => {};", options: [{ func: 2, ignoreFunctions: ["legacy?est"] }] },
+    { code: "class Test { #legacy(a, b, c) {} }", options: [{ func: 2, ignoreFunctions: ["#legacy"] }] },
+    { code: "function test(err, _req, res, _next) {}", options: [{ func: 2, ignoreParams: ["_*"] }] },
+    { code: "function test(a, b, _ = 1, ...__rest) {}", options: [{ func: 2, ignoreParams: ["/^_+/u"] }] },
+
+    // Callbacks
+    { code: "app.use((err, req, res, next) => {});", options: [{ func: 2, callbacks: { "app.use": "ignore" } }] },
+    { code: "items.filter(Boolean).reduce((sum, item, index) => sum, 0);", options: [{ func: 2, callbacks: { "*.reduce": 4 } }] },
+    { code: "this.router.get(function(a, b, c) {});", options: [{ func: 2, callbacks: { "/router\\.(get|post)$/u": 3 } }] },
+    { code: "new Promise((resolve, reject) => {});", options: [{ func: 1, callbacks: { Promise: 2 } }] },
+
+    // Inherited signatures
+    {
+      code: "class Test extends Base { override handle(a: A, b: B, c: C) {} }",
+      options: [{ method: 2, ignoreOverrides: true }],
+      languageOptions: { parser: tsParser }
+    },
+    {
+      code: "class Test implements Handler { handle(a: A, b: B, c: C) {} }",
+      options: [{ method: 2, ignoreOverrides: true }],
+      languageOptions: { parser: tsParser }
+    },
+    {
+      code: `
+        class Base { handle(a, b) {} }
+        const Middle = class extends Base {};
+        class Test extends Middle { handle(a, b, c) {} }
+      `,
+      options: [{ method: 2, ignoreOverrides: true }]
+    },
+
+    // Counting strategies
+    { code: "function test({ a, b, c, d }, e) {}", options: [{ func: 2 }] },
+    { code: "function test({ a, b }, [c, , d] = []) {}", options: [{ func: 4, destructuredProperties: "count-each" }] },
+    { code: "function test(a, b, ...rest) {}", options: [{ func: 2, restParam: "ignore" }] },
+    { code: "function test(a, b, c = 1, d = 2) {}", options: [{ func: 2, defaultedParams: "ignore" }] },
+    { code: "function test({ a, b, c }) {}", options: [{ maxDestructuredProperties: 3 }] },
+
+    {
+      code: "class Test { constructor(private a: A, @Inject(B) b: B, @InjectRepository(C) c: C, d: D) {} }",
+      options: [{ constructor: 1, injectedDependencies: 3, injectionDecorators: ["Inject", "InjectRepository"] }],
+      languageOptions: { parser: tsParser }
+    },
+    {
+      code: "class Test { constructor(@Optional() a: A, @Optional() b: B, c: C) {} }",
+      options: [{ constructor: 1, ignoredDecorators: ["Optional"] }],
+      languageOptions: { parser: tsParser }
+    },
+    {
+      code: "declare function test(a: A, b: B, c: C): void;",
+      filename: "types/test.d.ts",
+      options: [{ func: 2, ignoreDeclarationFiles: true }],
+      languageOptions: { parser: tsParser }
+    },
+
+    // Core max-params options
+    { code: "function test(a, b, c) {}", options: [3] },
+    { code: "function test(a, b, c) {}", options: [{ max: 3 }] },
+    { code: "class Test { constructor(a, b, c) {} }", options: [{ maximum: 3 }] },
+    { code: "function test(a, b, c) {}", options: [{ max: 2, maximum: 3 }] },
+    { code: "class Test { method(a, b, c) {} }", options: [{ max: 2, method: 3 }] },
+    { code: "class Test { constructor() {} }", options: [{ constructor: 0 }] },
+    { code: "function test(this: void, a, b) {}", options: [2], languageOptions: { parser: tsParser } },
+    { code: "function test(this: Window, a, b) {}", options: [{ max: 2, countVoidThis: true }], languageOptions: { parser: tsParser } },
+
+    // Allow directives
+    { code: "// better-max-params-allow 4 -- generated by protocol spec\nfunction test(a, b, c, d) {}", options: [{ func: 3 }] },
+    { code: "/* better-max-params-allow 4 -- legacy API */ const test = (a, b, c, d) => {};", options: [{ func: 3, maxDirectiveLimit: 4 }] },
+    { code: "// better-max-params-allow 4 -- public API\nexport default function test(a, b, c, d) {}", options: [{ func: 3 }] },
+    {
+      code: "// better-max-params-allow 3 -- spec\nfunction t(a: A, b: B, c: C): void;\nfunction t(a: A, b: B, c: C) {}",
+      options: [{ func: 2 }],
+      languageOptions: { parser: tsParser }
+    },
+    {
+      code: "class Test {\n  // better-max-params-allow 3 -- spec\n  run(a: A, b: B, c: C): void;\n  run(a: A, b: B, c: C) {}\n}",
+      options: [{ method: 2 }],
+      languageOptions: { parser: tsParser }
+    },
+    {
+      code: "// better-max-params-allow 4 -- spec\nfunction f(a: A, b: B, c: C): void;\nfunction f(a: A, b: B, c: C, d: D): void;\nfunction f(a: A, b: B, c: C, d?: D) {}",
+      options: [{ func: 2 }],
+      languageOptions: { parser: tsParser }
+    },
+    {
+      code: "class Test {\n  // better-max-params-allow 4 -- spec\n  run(a: A, b: B, c: C): void;\n  run(a: A, b: B, c: C, d: D): void;\n  run(a: A, b: B, c: C, d?: D) {}\n}",
+      options: [{ method: 2 }],
+      languageOptions: { parser: tsParser }
+    },
+    {
+      code: "class Test {\n  // better-max-params-allow 4 -- route handler\n  @Get() handle(a, b, c, d) {}\n}",
+      options: [{ method: 3 }],
+      languageOptions: { parser: tsParser }
+    },
+    {
+      code: "class Test {\n  // better-max-params-allow 3 -- legacy service\n  constructor(private a: A, b: B, c: C, d: D) {}\n}",
+      options: [{ constructor: 2, injectedDependencies: 1 }],
+      languageOptions: { parser: tsParser }
+    },
+
+    // Exported and internal tiers
+    { code: "function helper(a, b, c, d) {}", options: [{ exported: 2, internal: 4 }] },
+    { code: "export function api(a, b) {}", options: [{ exported: 2, internal: 4 }] },
+    { code: "export class Api { #helper(a, b, c, d) {} }", options: [{ exported: 2, internal: 4 }] },
+    { code: "export class Api { method(a, b, c) {} }", options: [{ exported: 2, method: 3 }] },
+    { code: "export function api(a, b, c) {}", options: [{ func: 3, internal: 2 }] },
+    { code: "export class Api { constructor(a, b, c) {} }", options: [{ exported: 2, max: 3 }] },
+    {
+      code: "export class Api { private helper(a: A, b: B, c: C, d: D) {} }",
+      options: [{ exported: 2, internal: 4 }],
+      languageOptions: { parser: tsParser }
+    },
+
+    // Curried functions
+    { code: "const handler = (a) => (b) => (c) => (d) => (e) => a;", options: [{ func: 3 }] },
+    { code: "const handler = (a) => (b) => (c) => (d) => (e) => a;", options: [{ func: 5, curried: true }] },
+    { code: "const handler = (a) => { log(a); return (b) => (c) => c; };", options: [{ func: 2, curried: true }] },
+    { code: "const handlers = (a) => [(b) => b, (c) => c];", options: [{ func: 1, curried: true }] },
+    { code: "const handler = (a) => function (b) { return b; };", options: [{ func: 2, curried: true }] },
+
+    // Required and optional parameters
+    { code: "function test(a, b, c = 1, d = 2, ...e) {}", options: [{ maxRequired: 2, maxOptional: 3 }] },
+    { code: "function test(a, b?: B, c?: C) {}", options: [{ maxRequired: 1, maxOptional: 2 }], languageOptions: { parser: tsParser } },
+    { code: "function test(a, b = 1, ...c) {}", options: [{ maxOptional: 0, defaultedParams: "ignore", restParam: "ignore" }] },
+
+    // Contextually typed functions
+    {
+      code: "const handler: Handler = (req, res, next) => {};",
+      filename: typedFile,
+      options: [{ func: 2, ignoreContextuallyTyped: true }],
+      languageOptions: typedLanguageOptions
+    },
+    {
+      code: "class Impl implements Service { run(a: string, b: string, c: string) {} }",
+      filename: typedFile,
+      options: [{ method: 2, ignoreContextuallyTyped: true }],
+      languageOptions: typedLanguageOptions
+    },
+    {
+      code: "const service: Service = { run(a, b, c) {} };",
+      filename: typedFile,
+      options: [{ func: 2, ignoreContextuallyTyped: true }],
+      languageOptions: typedLanguageOptions
+    },
+    {
+      code: "[1].forEach((value, index, array) => {});",
+      filename: typedFile,
+      options: [{ func: 2, ignoreContextuallyTyped: true }],
+      languageOptions: typedLanguageOptions
+    },
+
+    // Options-object parameters
+    {
+      code: "interface Options { a: A; b?: B } function test(options: Options) {}",
+      options: [{ optionsObject: { maxRequired: 1, maxOptional: 1 } }],
+      languageOptions: { parser: tsParser }
+    },
+    {
+      code: "function test(a: { a: A; b: B }, b: { c: C; d: D }) {}",
+      options: [{ optionsObject: { maxRequired: 1 } }],
+      languageOptions: { parser: tsParser }
+    },
+    { code: "function test(options: Imported) {}", options: [{ optionsObject: { maxRequired: 0 } }], languageOptions: { parser: tsParser } },
+    { code: "function test(options) {}", options: [{ optionsObject: { maxRequired: 0 } }] },
+    {
+      code: "class Account { a = 1; b = 2; c = 3; d = 4; save() {} } function persist(account: Account) {}",
+      filename: typedFile,
+      options: [{ optionsObject: { maxRequired: 1 } }],
+      languageOptions: typedLanguageOptions
+    },
+    {
+      code: "function persist(user: Partial<User>) {}",
+      filename: typedFile,
+      options: [{ optionsObject: { maxOptional: 1 } }],
+      languageOptions: typedLanguageOptions
+    },
+    {
+      code: "import type { ParserOptions } from \"@typescript-eslint/types\"; function parse(options: ParserOptions) {}",
+      filename: typedFile,
+      options: [{ optionsObject: { maxRequired: 0, maxOptional: 1 } }],
+      languageOptions: typedLanguageOptions
+    },
+    {
+      code: "function test(date: Date) {}",
+      filename: typedFile,
+      options: [{ optionsObject: { maxRequired: 0, maxOptional: 0 } }],
+      languageOptions: typedLanguageOptions
+    },
+
+    // Parameters forwarded to super()
+    {
+      code: "class B extends A { constructor(a, b, c, d, extra) { super(a, b, c, d); this.extra = extra; } }",
+      options: [{ constructor: 1, constructorSuperForwarding: "ignore" }]
+    },
+    { code: "class B extends A { constructor(...args) { super(...args); } }", options: [{ constructor: 0, constructorSuperForwarding: "ignore" }] },
+    {
+      code: "class B extends A { constructor(a, b, extra) { super(a, b); this.extra = extra; } }",
+      options: [{ constructor: 1, constructorSuperForwarding: 2 }]
+    },
+
+    // Baseline
+    { code: "function foo(a, b, c, d) {}", filename: legacyFile, options: [{ func: 3, baseline }] },
+    { code: "function foo(a, b, c) {}", filename: legacyFile, options: [{ func: 2, baseline }] },
+    { code: "function foo(a, b) {}", filename: legacyFile, options: [{ func: 3, baseline }] },
+    {
+      code: "class B extends A { constructor(a, b, c, ...d) { super(a, b, c); this.d = d; } }",
+      filename: legacyFile,
+      options: [{ constructor: 1, constructorSuperForwarding: 2, baseline: "tests/fixtures/baseline-constructors.json" }]
+    },
+    {
+      code: "function foo(a, b, c, d) {} function bar(a, b, c) {} const baz = (a, b, c, d, e) => {};",
+      filename: legacyFile,
+      options: [{ func: 2, baseline, reportUnusedBaseline: true }]
+    },
   ],
 
   invalid: [
     {
       code: "function test(a, b, c) {}",
       options: [{ func: 2 }],
+      output: "function test(a, b) {}",
       errors: [{
         messageId: "exceed",
         data: { name: "Function 'test'", count: 3, max: 2.0 },
-        type: "FunctionDeclaration"
+        type: "FunctionDeclaration",
+        suggestions: [{ messageId: "useOptionsObject", output: "function test(a, { b, c } = {}) {}" }]
       }]
     },
     {
       code: "function test(a, b, c, d) {}",
       options: [{ func: 3 }],
+      output: "function test(a, b, c) {}",
       errors: [{
         messageId: "exceed",
         data: { name: "Function 'test'", count: 4, max: 3.0 },
-        type: "FunctionDeclaration"
+        type: "FunctionDeclaration",
+        suggestions: [{ messageId: "useOptionsObject", output: "function test(a, b, { c, d } = {}) {}" }]
       }]
     },
     {
       code: "var test = function(a, b, c, d) {};",
       options: [{ func: 3 }],
+      output: "var test = function(a, b, c) {};",
       errors: [{
         messageId: "exceed",
         data: { name: "Function", count: 4, max: 3.0 },
-        type: "FunctionExpression"
+        type: "FunctionExpression",
+        suggestions: [{ messageId: "useOptionsObject", output: "var test = function(a, b, { c, d } = {}) {};" }]
       }]
     },
     {
       code: "var test = (a, b, c, d) => {};",
       options: [{ func: 3 }],
+      output: "var test = (a, b, c) => {};",
       languageOptions: { ecmaVersion: 6 },
       errors: [{
         messageId: "exceed",
         data: { name: "Arrow function", count: 4, max: 3.0 },
-        type: "ArrowFunctionExpression"
+        type: "ArrowFunctionExpression",
+        suggestions: [{ messageId: "useOptionsObject", output: "var test = (a, b, { c, d } = {}) => {};" }]
       }]
     },
     {
@@ -71,16 +325,19 @@ ruleTester.run("better-max-params", rule, {
       errors: [{
         messageId: "exceed",
         data: { name: "Function", count: 4, max: 3.0 },
-        type: "FunctionExpression"
+        type: "FunctionExpression",
+        suggestions: []
       }]
     },
     {
       code: "var test = function test(a, b, c) {};",
       options: [{ func: 1 }],
+      output: "var test = function test(a) {};",
       errors: [{
         messageId: "exceed",
         data: { name: "Function 'test'", count: 3, max: 1.0 },
-        type: "FunctionExpression"
+        type: "FunctionExpression",
+        suggestions: [{ messageId: "useOptionsObject", output: "var test = function test({ a, b, c } = {}) {};" }]
       }]
     },
     {
@@ -90,7 +347,8 @@ ruleTester.run("better-max-params", rule, {
       errors: [{
         messageId: "exceed",
         data: { name: "Constructor", count: 3, max: 2 },
-        type: "FunctionExpression"
+        type: "FunctionExpression",
+        suggestions: []
       }]
     },
     {
@@ -103,9 +361,928 @@ ruleTester.run("better-max-params", rule, {
       errors: [{
         messageId: "exceed",
         data: { name: "Method 'wrongMethod'", count: 5, max: 2 },
+        type: "FunctionExpression",
+        suggestions: []
+      }]
+    },
+
+    {
+      code: "class Test { #helper(a, b, c) {} }",
+      options: [{ func: 5, method: 4, privateMethod: 2 }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Private method #helper", count: 3, max: 2 },
+        type: "FunctionExpression",
+        suggestions: []
+      }]
+    },
+    {
+      code: "class Test { static method(a, b, c) {} }",
+      options: [{ func: 5, method: 2 }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Static method 'method'", count: 3, max: 2 },
+        type: "FunctionExpression",
+        suggestions: []
+      }]
+    },
+    {
+      code: "var test = { method(a, b, c) {} };",
+      options: [{ func: 2, arrow: 5 }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Method 'method'", count: 3, max: 2 },
+        type: "FunctionExpression",
+        suggestions: []
+      }]
+    },
+    {
+      code: "var test = async (a, b, c) => {};",
+      options: [{ arrow: 5, async: 2 }],
+      output: "var test = async (a, b) => {};",
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Async arrow function", count: 3, max: 2 },
+        type: "ArrowFunctionExpression",
+        suggestions: [{ messageId: "useOptionsObject", output: "var test = async (a, { b, c } = {}) => {};" }]
+      }]
+    },
+    {
+      code: "function* test(a, b) {}",
+      options: [{ func: 0 }],
+      output: "function* test() {}",
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Generator function 'test'", count: 2, max: 0 },
+        type: "FunctionDeclaration"
+      }]
+    },
+
+    // TypeScript
+    {
+      code: "declare function test(a: A, b: B, c: C): void;",
+      options: [{ func: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Function 'test'", count: 3, max: 2 },
+        type: "TSDeclareFunction"
+      }]
+    },
+    {
+      code: `
+        function test(a: A): void;
+        function test(a: A, b: B, c: C): void;
+        function test(a: A, b: B, c: C, d: D): void;
+        function test(...args: unknown[]) {}
+      `,
+      options: [{ func: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Function 'test'", count: 3, max: 2 },
+        line: 3,
+        type: "TSDeclareFunction"
+      }]
+    },
+    {
+      code: `
+        export function test(a: A, b: B, c: C): void;
+        export function test(a: A, b: B, c: C, d?: D) {}
+      `,
+      options: [{ func: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Function 'test'", count: 3, max: 2 },
+        line: 2,
+        type: "TSDeclareFunction"
+      }]
+    },
+    {
+      code: `
+        class Test {
+          method(a: A, b: B, c: C): void;
+          method(a: A, b: B, c: C, d: D): void;
+          method(...args: unknown[]) {}
+          static method(a: A, b: B, c: C) {}
+        }
+      `,
+      options: [{ method: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Method 'method'", count: 3, max: 2 },
+        line: 3,
+        column: 11,
+        endColumn: 17,
+        type: "TSEmptyBodyFunctionExpression"
+      }, {
+        messageId: "exceed",
+        data: { name: "Static method 'method'", count: 3, max: 2 },
+        line: 6,
         type: "FunctionExpression"
       }]
     },
+    {
+      code: "abstract class Test { abstract method(a: A, b: B, c: C): void; }",
+      options: [{ func: 5, method: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Abstract method 'method'", count: 3, max: 2 },
+        column: 23,
+        endColumn: 38,
+        type: "TSEmptyBodyFunctionExpression"
+      }]
+    },
+    {
+      code: `
+        interface Test {
+          method(a: A, b: B, c: C): void;
+          method(a: A, b: B, c: C, d: D): void;
+          (a: A, b: B, c: C): void;
+          new (a: A, b: B, c: C): Test;
+        }
+      `,
+      options: [{ func: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Method signature 'method'", count: 3, max: 2 },
+        line: 3,
+        column: 11,
+        endColumn: 17,
+        type: "TSMethodSignature"
+      }, {
+        messageId: "exceed",
+        data: { name: "Call signature", count: 3, max: 2 },
+        line: 5,
+        type: "TSCallSignatureDeclaration"
+      }, {
+        messageId: "exceed",
+        data: { name: "Construct signature", count: 3, max: 2 },
+        line: 6,
+        type: "TSConstructSignatureDeclaration"
+      }]
+    },
+    {
+      code: "type Test = (a: A, b: B, c: C) => void;",
+      options: [{ func: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Function type 'Test'", count: 3, max: 2 },
+        column: 32,
+        endColumn: 34,
+        type: "TSFunctionType"
+      }]
+    },
+    {
+      code: "let test: new (a: A, b: B, c: C) => Test;",
+      options: [{ func: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Constructor type", count: 3, max: 2 },
+        type: "TSConstructorType"
+      }]
+    },
+    {
+      code: "function test(this: Test, a: A, b: B, c: C) {}",
+      options: [{ func: 2 }],
+      output: "function test(this: Test, a: A, b: B) {}",
+      languageOptions: { parser: tsParser },
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Function 'test'", count: 3, max: 2 },
+        type: "FunctionDeclaration"
+      }]
+    },
+    {
+      code: "declare function test(a: A, b: B, c: C): void;",
+      filename: "test.ts",
+      options: [{ func: 2, ignoreDeclarationFiles: true }],
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "exceed", type: "TSDeclareFunction" }]
+    },
+
+    // Ignore patterns
+    {
+      code: "function test(a, _b, c, _d) {}",
+      options: [{ func: 1, ignoreFunctions: ["other"], ignoreParams: ["_*"] }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Function 'test'", count: 2, total: 4, max: 1 },
+        type: "FunctionDeclaration"
+      }]
+    },
+    {
+      code: "var test = { handler: function legacy(a, b, c) {} };",
+      options: [{ func: 2, ignoreFunctions: ["legacy"] }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Method 'handler'", count: 3, max: 2 },
+        type: "FunctionExpression",
+        suggestions: []
+      }]
+    },
+
+    // Callbacks
+    {
+      code: "items.reduce((a, b, c, d) => a);",
+      options: [{ func: 5, callbacks: { "*.reduce": 2 } }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Arrow function", count: 4, max: 2 },
+        type: "ArrowFunctionExpression"
+      }]
+    },
+    {
+      code: "app.use(handler, (a, b, c) => {}); router.use((a, b, c) => {});",
+      options: [{ func: 2, callbacks: { "app.use": "ignore" } }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Arrow function", count: 3, max: 2 },
+        column: 57
+      }]
+    },
+
+    // Inherited signatures
+    {
+      code: `
+        class Base { handle(a, b, ...c) {} }
+        class Test extends Base {
+          handle(a, b, ...c) {}
+          static handle(a, b, ...c) {}
+          #handle(a, b, ...c) {}
+          constructor(a, b, ...c) {}
+        }
+      `,
+      options: [{ method: 2, constructor: 2, ignoreOverrides: true }],
+      errors: [
+        { messageId: "exceed", data: { name: "Method 'handle'", count: 3, max: 2 }, line: 2 },
+        { messageId: "exceed", data: { name: "Static method 'handle'", count: 3, max: 2 }, line: 5 },
+        { messageId: "exceed", data: { name: "Private method #handle", count: 3, max: 2 }, line: 6 },
+        { messageId: "exceed", data: { name: "Constructor", count: 3, max: 2 }, line: 7 }
+      ]
+    },
+    {
+      code: "class Test extends Base { override handle(a: A, b: B, c: C) {} }",
+      options: [{ method: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "exceed", data: { name: "Method 'handle'", count: 3, max: 2 } }]
+    },
+
+    // Options object suggestion
+    {
+      code: `
+        function test(a, b = 1, c = b) {}
+        test(x, y, z);
+        test(x, b, (y, z));
+        test();
+      `,
+      options: [{ func: 2 }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Function 'test'", count: 3, max: 2 },
+        suggestions: [{
+          messageId: "useOptionsObject",
+          data: { count: 2 },
+          output: `
+        function test(a, { b = 1, c = b } = {}) {}
+        test(x, { b: y, c: z });
+        test(x, { b, c: (y, z) });
+        test();
+      `
+        }]
+      }]
+    },
+    {
+      code: "const test = (a, b, c) => a; test(a, b);",
+      options: [{ func: 1 }],
+      output: "const test = (a) => a; test(a);",
+      errors: [{
+        messageId: "exceed",
+        suggestions: [{ messageId: "useOptionsObject", output: "const test = ({ a, b, c } = {}) => a; test({ a, b });" }]
+      }]
+    },
+    {
+      code: "function test(a: A, b: B, c: C) {}",
+      options: [{ func: 2 }],
+      output: "function test(a: A, b: B) {}",
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "exceed", suggestions: [] }]
+    },
+    {
+      code: "items.map(function(a, b, c) {});",
+      options: [{ func: 2 }],
+      errors: [{ messageId: "exceed", suggestions: [] }]
+    },
+    {
+      code: "function test(a, b, c, d) { return [a, b, c, d]; } items.map(test); test(1, 2, 3, 4);",
+      options: [{ func: 3 }],
+      errors: [{ messageId: "exceed", suggestions: [] }]
+    },
+    {
+      code: "class A { m(a, b, c) { return [a, b, c]; } run() { this.m(1, 2, 3); } }",
+      options: [{ func: 2 }],
+      errors: [{ messageId: "exceed", suggestions: [] }]
+    },
+    {
+      code: "function test(a, b, c) { return [a, b, c]; } test(1, 2, 3, 4);",
+      options: [{ func: 2 }],
+      errors: [{ messageId: "exceed", suggestions: [] }]
+    },
+    {
+      code: "function test(a, b, c) { return [a, b, c]; } test(x, y, z); test(...args, y);",
+      options: [{ func: 2 }],
+      errors: [{ messageId: "exceed", suggestions: [] }]
+    },
+    {
+      code: "function test(a, b, c) { return arguments; } test(1, 2, 3);",
+      options: [{ func: 2 }],
+      output: null,
+      errors: [{ messageId: "exceed", suggestions: [] }]
+    },
+
+    // Counting strategies
+    {
+      code: "function test(a, { b, c, ...rest } = {}) {}",
+      options: [{ func: 3, destructuredProperties: "count-each" }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Function 'test'", count: 4, total: 2, max: 3, strategy: "count-each" },
+        suggestions: []
+      }]
+    },
+    {
+      code: "function test(a, b = 1, ...rest) {}",
+      options: [{ func: 1, restParam: "ignore" }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Function 'test'", count: 2, total: 3, max: 1 },
+        suggestions: []
+      }]
+    },
+    {
+      code: "var test = ({ a, b, c }, [d, e, f]) => {};",
+      options: [{ maxDestructuredProperties: 2 }],
+      errors: [{
+        messageId: "exceedDestructured",
+        data: { name: "Arrow function", count: 3, max: 2 },
+        column: 13,
+        endColumn: 24,
+        type: "ObjectPattern"
+      }, {
+        messageId: "exceedDestructured",
+        data: { name: "Arrow function", count: 3, max: 2 },
+        type: "ArrayPattern"
+      }]
+    },
+
+    // Dependency injection
+    {
+      code: `
+        class Test {
+          constructor(private readonly a: A, @Inject(B) b: B, protected c: C, d: D, e: E) {}
+        }
+      `,
+      options: [{ constructor: 1, injectedDependencies: 2, injectionDecorators: ["Inject"] }],
+      languageOptions: { parser: tsParser },
+      errors: [{
+        messageId: "exceedPlain",
+        data: { name: "Constructor", count: 2, max: 1 },
+        type: "FunctionExpression"
+      }, {
+        messageId: "exceedInjected",
+        data: { name: "Constructor", count: 3, max: 2 },
+        type: "FunctionExpression"
+      }]
+    },
+    {
+      code: "class Test { constructor(private a: A, private b: B, @Inject(C) c: C) {} }",
+      options: [{ constructor: 1, injectedDependencies: 1 }],
+      languageOptions: { parser: tsParser },
+      errors: [{
+        messageId: "exceedInjected",
+        data: { name: "Constructor", count: 2, max: 1 },
+        type: "FunctionExpression"
+      }]
+    },
+    {
+      code: "class Test { constructor(private a: A, @Optional() b: B, c: C, d: D) {} }",
+      options: [{ constructor: 2, ignoredDecorators: ["Optional"] }],
+      languageOptions: { parser: tsParser },
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Constructor", count: 3, max: 2 },
+        type: "FunctionExpression"
+      }]
+    },
+
+    // Core max-params options
+    {
+      code: "function test(a, b, c, ...d) {}",
+      options: [3],
+      output: "function test(a, b, c) {}",
+      errors: [{ message: "Function 'test' has too many parameters (4). Maximum allowed is 3." }]
+    },
+    {
+      code: "class Test { constructor(a, b, ...c) {} }",
+      options: [{ maximum: 2 }],
+      errors: [{ message: "Constructor has too many parameters (3). Maximum allowed is 2." }]
+    },
+    {
+      code: "class Test { constructor(a, b, ...c) {} }",
+      options: [{ max: 3, maximum: 2 }],
+      errors: [{ message: "Constructor has too many parameters (3). Maximum allowed is 2." }]
+    },
+    {
+      code: "class Test { method(a, b, ...c) {} }",
+      options: [{ max: 2, func: 3, method: 0 }],
+      errors: [{ messageId: "exceed", data: { name: "Method 'method'", count: 3, max: 0 } }]
+    },
+    {
+      code: "function test(...a) {}",
+      options: [{ func: 0 }],
+      output: "function test() {}",
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 1, max: 0 } }]
+    },
+    {
+      code: "class Test { constructor(...a) {} }",
+      options: [{ constructor: 0, max: 2 }],
+      errors: [{ messageId: "exceed", data: { name: "Constructor", count: 1, max: 0 } }]
+    },
+    {
+      code: "function test(this: void, a, b) {}",
+      options: [{ max: 2, countVoidThis: true }],
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 3, max: 2 } }]
+    },
+
+    // Allow directives
+    {
+      code: "// better-max-params-allow 4 -- generated\nfunction test(a, b, c, d, ...e) {}",
+      options: [{ func: 3 }],
+      output: "// better-max-params-allow 4 -- generated\nfunction test(a, b, c, d) {}",
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 5, max: 4 }, line: 2 }]
+    },
+    {
+      code: "// better-max-params-allow 6 -- generated\nfunction test(a, b, c, d) {}",
+      options: [{ func: 3 }],
+      errors: [{
+        messageId: "directiveTooHigh",
+        data: { limit: 6, name: "function 'test'", count: 4 },
+        line: 1,
+        column: 1,
+        endLine: 1,
+        endColumn: 42
+      }]
+    },
+    {
+      code: "// better-max-params-allow 4 -- generated\nfunction test(a, b) {}",
+      options: [{ func: 3 }],
+      errors: [{ messageId: "unusedDirective", line: 1 }]
+    },
+    {
+      code: "function test(a, b, c, ...d) {}\n// better-max-params-allow 4 -- generated",
+      options: [{ func: 3 }],
+      output: "function test(a, b, c) {}\n// better-max-params-allow 4 -- generated",
+      errors: [{ messageId: "exceed", line: 1 }, { messageId: "unusedDirective", line: 2 }]
+    },
+    {
+      code: "// better-max-params-allow 4 -- generated\nfoo(function(a, b, c, ...d) {});",
+      options: [{ func: 3 }],
+      errors: [{ messageId: "unusedDirective", line: 1 }, { messageId: "exceed", line: 2 }]
+    },
+    {
+      code: "// better-max-params-allow 2 -- generated\nfunction test(a, b, c, ...d) {}",
+      options: [{ func: 3 }],
+      output: "// better-max-params-allow 2 -- generated\nfunction test(a, b, c) {}",
+      errors: [
+        { messageId: "directiveNotAboveMax", data: { limit: 2, name: "function 'test'", max: 3 }, line: 1 },
+        { messageId: "exceed", line: 2 }
+      ]
+    },
+    {
+      code: "// better-max-params-allow 5 -- spec\nfunction f(a: A, b: B, c: C): void;\nfunction f(a: A, b: B, c: C, d: D): void;\nfunction f(a: A, b: B, c: C, d?: D) {}",
+      options: [{ func: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "directiveTooHigh", data: { limit: 5, name: "function 'f'", count: 4 }, line: 1 }]
+    },
+    {
+      code: "// better-max-params-allow 4\nfunction test(a, b, c, d) {}",
+      options: [{ func: 3 }],
+      errors: [{ messageId: "directiveWithoutReason", line: 1 }]
+    },
+    {
+      code: "// better-max-params-allow -- generated\nfunction test(a, b, c, ...d) {}",
+      options: [{ func: 3 }],
+      output: "// better-max-params-allow -- generated\nfunction test(a, b, c) {}",
+      errors: [{ messageId: "directiveWithoutLimit", line: 1 }, { messageId: "exceed", line: 2 }]
+    },
+    {
+      code: "// better-max-params-allow 6 -- generated\nfunction test(a, b, c, d, e, f) {}",
+      options: [{ func: 3, maxDirectiveLimit: 5 }],
+      errors: [{ messageId: "directiveOverMax", data: { limit: 6, max: 5 }, line: 1 }]
+    },
+
+    // Exported and internal tiers
+    {
+      code: "export function api(a, b, ...c) {}",
+      options: [{ exported: 2, internal: 4 }],
+      errors: [{ messageId: "exceedTier", data: { name: "Function 'api'", count: 3, tier: "exported", max: 2 } }]
+    },
+    {
+      code: "export default function (a, b, ...c) {}",
+      options: [{ exported: 2 }],
+      errors: [{ messageId: "exceedTier", data: { name: "Function", count: 3, tier: "exported", max: 2 } }]
+    },
+    {
+      code: "export const api = (a, b, ...c) => {};",
+      options: [{ exported: 2 }],
+      errors: [{ messageId: "exceedTier", data: { name: "Arrow function", count: 3, tier: "exported", max: 2 } }]
+    },
+    {
+      code: "function api(a, b, ...c) {} export { api };",
+      options: [{ exported: 2 }],
+      errors: [{ messageId: "exceedTier", data: { name: "Function 'api'", count: 3, tier: "exported", max: 2 } }]
+    },
+    {
+      code: "module.exports = function (a, b, ...c) {};",
+      options: [{ exported: 2 }],
+      errors: [{ messageId: "exceedTier", data: { name: "Function", count: 3, tier: "exported", max: 2 } }]
+    },
+    {
+      code: "module.exports = { api(a, b, ...c) {} };",
+      options: [{ exported: 2 }],
+      errors: [{ messageId: "exceedTier", data: { name: "Method 'api'", count: 3, tier: "exported", max: 2 } }]
+    },
+    {
+      code: "export class Api { method(a, b, ...c) {} }",
+      options: [{ exported: 2, internal: 4 }],
+      errors: [{ messageId: "exceedTier", data: { name: "Method 'method'", count: 3, tier: "exported", max: 2 } }]
+    },
+    {
+      code: "function helper(a, b, ...c) {}",
+      options: [{ exported: 4, internal: 2 }],
+      output: "function helper(a, b) {}",
+      errors: [{ messageId: "exceedTier", data: { name: "Function 'helper'", count: 3, tier: "internal", max: 2 } }]
+    },
+    {
+      code: "function configure(a, b, ...c) { module.exports.config = a; }",
+      options: [{ exported: 5, internal: 2 }],
+      output: "function configure(a, b) { module.exports.config = a; }",
+      errors: [{ messageId: "exceedTier", data: { name: "Function 'configure'", count: 3, tier: "internal", max: 2 } }]
+    },
+    {
+      code: "export class Api { #helper(a, b, ...c) {} }",
+      options: [{ exported: 4, internal: 2 }],
+      errors: [{ messageId: "exceedTier", data: { name: "Private method #helper", count: 3, tier: "internal", max: 2 } }]
+    },
+    {
+      code: "export class Api { private helper(a: A, b: B, ...c: C[]) {} }",
+      options: [{ exported: 4, internal: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "exceedTier", data: { name: "Method 'helper'", count: 3, tier: "internal", max: 2 } }]
+    },
+    {
+      code: "export function api(a, b, ...c) {}",
+      options: [{ internal: 4, func: 2 }],
+      errors: [{ messageId: "exceed", data: { name: "Function 'api'", count: 3, max: 2 } }]
+    },
+    {
+      code: "export class Api { method(a, b, ...c) {} }",
+      options: [{ exported: 4, method: 2 }],
+      errors: [{ messageId: "exceed", data: { name: "Method 'method'", count: 3, max: 2 } }]
+    },
+    {
+      code: "// better-max-params-allow 3 -- public API\nexport function api(a, b, c, ...d) {}",
+      options: [{ exported: 2 }],
+      errors: [{ messageId: "exceed", data: { name: "Function 'api'", count: 4, max: 3 } }]
+    },
+
+    // Curried functions
+    {
+      code: "const handler = (a) => (b) => (c) => (d) => (e) => a;",
+      options: [{ func: 3, curried: true }],
+      errors: [{ messageId: "exceedCurried", data: { name: "Arrow function", count: 5, depth: 5, max: 3 }, column: 21, endColumn: 23 }]
+    },
+    {
+      code: "function outer(a, b) { return function (c, d) {}; }",
+      options: [{ func: 3, curried: true }],
+      errors: [{ messageId: "exceedCurried", data: { name: "Function 'outer'", count: 4, depth: 2, max: 3 } }]
+    },
+    {
+      code: "const handler = (a) => (b, c, d, e) => a;",
+      options: [{ func: 4, curried: true }],
+      errors: [{ messageId: "exceedCurried", data: { name: "Arrow function", count: 5, depth: 2, max: 4 }, column: 21 }]
+    },
+    {
+      code: "const handler = (a) => ({ x, y }) => x;",
+      options: [{ maxDestructuredProperties: 1, curried: true }],
+      errors: [{ messageId: "exceedDestructured", data: { name: "Arrow function", count: 2, max: 1 }, column: 25 }]
+    },
+
+    // Required and optional parameters
+    {
+      code: "function test(a, b, c, d = 1) {}",
+      options: [{ maxRequired: 2 }],
+      errors: [{ messageId: "exceedRequired", data: { name: "Function 'test'", count: 3, max: 2 }, column: 1, endColumn: 14 }]
+    },
+    {
+      code: "function test(a, b = 1, c = 2, ...d) {}",
+      options: [{ maxRequired: 2, maxOptional: 2 }],
+      errors: [{ messageId: "exceedOptional", data: { name: "Function 'test'", count: 3, max: 2 } }]
+    },
+    {
+      code: "class Test { constructor(private a: A, private b?: B, c?: C) {} }",
+      options: [{ maxRequired: 0, maxOptional: 1 }],
+      languageOptions: { parser: tsParser },
+      errors: [
+        { messageId: "exceedRequired", data: { name: "Constructor", count: 1, max: 0 } },
+        { messageId: "exceedOptional", data: { name: "Constructor", count: 2, max: 1 } }
+      ]
+    },
+    {
+      code: "function test(a, b, c = 1, ...d) {}",
+      options: [{ func: 3, maxRequired: 1 }],
+      output: "function test(a, b, c = 1) {}",
+      errors: [
+        { messageId: "exceed", data: { name: "Function 'test'", count: 4, max: 3 } },
+        { messageId: "exceedRequired", data: { name: "Function 'test'", count: 2, max: 1 } }
+      ]
+    },
+
+    // Custom messages
+    {
+      code: "class Test { constructor(a, { b }, ...c) {} }",
+      options: [{
+        constructor: 1,
+        messages: {
+          constructor: {
+            message: "{{name}} takes {{count}} parameters ({{params}}).",
+            hint: "Constructors should take a single config object, see docs/di.md"
+          }
+        }
+      }],
+      errors: [{
+        messageId: "exceedCustom",
+        data: {
+          message: "Constructor takes 3 parameters (a, {}, c). Constructors should take a single config object, see docs/di.md",
+          hint: "Constructors should take a single config object, see docs/di.md",
+          kind: "constructor",
+          params: "a, {}, c"
+        }
+      }]
+    },
+    {
+      code: "class Test { constructor(a, b, private c: C, private d: D, private e: E, private f: F) {} }",
+      options: [{ constructor: 1, injectedDependencies: 3, messages: { constructor: { hint: "See docs/di.md" } } }],
+      languageOptions: { parser: tsParser },
+      errors: [
+        { message: "Constructor has too many parameters besides injected dependencies (2). Maximum allowed is 1. See docs/di.md" },
+        { message: "Constructor has too many injected dependencies (4). Maximum allowed is 3. See docs/di.md" }
+      ]
+    },
+    {
+      code: "function test(a, b, ...c) {}",
+      options: [{ maxRequired: 1, maxOptional: 0, messages: { func: { message: "{{name}} ({{params}}): {{count}}/{{max}}" } } }],
+      output: null,
+      errors: [
+        { message: "Function 'test' (a, b, c): 2/1" },
+        { message: "Function 'test' (a, b, c): 1/0" }
+      ]
+    },
+    {
+      code: "export function api(a, ...b) {}",
+      options: [{ exported: 1, messages: { exported: { hint: "Group the {{count}} parameters in an options object." } } }],
+      errors: [{
+        message: "Function 'api' has too many parameters (2). Maximum allowed for exported functions is 1. Group the 2 parameters in an options object."
+      }]
+    },
+    {
+      code: "class Test { method(a, ...b) {} }",
+      options: [{ func: 1, messages: { func: { message: "{{kind}} {{name}}: {{count}}/{{max}} {{unknown}}" } } }],
+      errors: [{ message: "method Method 'method': 2/1 {{unknown}}" }]
+    },
+    {
+      code: "function test(a, ...b) {}",
+      options: [{ func: 1, messages: { method: { message: "Methods take one parameter." } } }],
+      output: "function test(a) {}",
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 2, max: 1, kind: "func", params: "a, b" } }]
+    },
+
+    // Unused trailing parameters
+    {
+      code: "function test(a, b, ...c) { return a; }\ntest(x, y, z); test(x); test((x), (y), z,);",
+      options: [{ func: 1 }],
+      output: "function test(a) { return a; }\ntest(x); test(x); test((x));",
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 3, max: 1 } }]
+    },
+    {
+      code: "const test = a => 1; test(2);",
+      options: [{ func: 0 }],
+      output: "const test = () => 1; test();",
+      errors: [{ messageId: "exceed", data: { name: "Arrow function", count: 1, max: 0 } }]
+    },
+    {
+      code: "function test(a, ...b) { return b; }",
+      options: [{ func: 1 }],
+      output: null,
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 2, max: 1 } }]
+    },
+    {
+      code: "export function test(a, ...b) {}",
+      options: [{ func: 1 }],
+      output: null,
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 2, max: 1 } }]
+    },
+    {
+      code: "function test(a, ...b) {} register(test);",
+      options: [{ func: 1 }],
+      output: null,
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 2, max: 1 } }]
+    },
+    {
+      code: "function test(a, ...b) { return arguments.length; }",
+      options: [{ func: 1 }],
+      output: null,
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 2, max: 1 } }]
+    },
+    {
+      code: "function test(a, ...b) {} test(...args);",
+      options: [{ func: 1 }],
+      output: null,
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 2, max: 1 } }]
+    },
+    {
+      code: "function test(a: A, b: B = init()) { return a; }",
+      options: [{ func: 1 }],
+      languageOptions: { parser: tsParser },
+      output: null,
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 2, max: 1 } }]
+    },
+    {
+      code: "function test({ a, b }, c, ...r) { return [a, b, c]; }",
+      options: [{ func: 2, destructuredProperties: "count-each", restParam: "ignore" }],
+      output: null,
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 3, total: 3, max: 2 }, suggestions: [] }]
+    },
+    {
+      code: "function test(a, ...b) { return a; } test(x, i++);",
+      options: [{ func: 1 }],
+      output: null,
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 2, max: 1 } }]
+    },
+    {
+      code: "function test(a, ...b) { return a; } test(1, 2, sideEffect());",
+      options: [{ func: 1 }],
+      output: null,
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 2, max: 1 } }]
+    },
+    {
+      code: "function test(a, ...b) { return a; } test(1, 2);",
+      options: [{ func: 1 }],
+      languageOptions: { sourceType: "script" },
+      output: null,
+      errors: [{ messageId: "exceed", data: { name: "Function 'test'", count: 2, max: 1 } }]
+    },
+
+    // Contextually typed functions
+    {
+      code: "const handler: Handler = (req, res, next, ...rest) => [req, res, next, rest];",
+      filename: typedFile,
+      options: [{ func: 2, ignoreContextuallyTyped: true }],
+      languageOptions: typedLanguageOptions,
+      errors: [{ messageId: "exceed", data: { name: "Arrow function", count: 4, max: 2 } }]
+    },
+    {
+      code: "on((a, b, c, d, e, f) => [a, b, c, d, e, f]);",
+      filename: typedFile,
+      options: [{ func: 2, ignoreContextuallyTyped: true }],
+      languageOptions: typedLanguageOptions,
+      errors: [{ messageId: "exceed", data: { name: "Arrow function", count: 6, max: 2 } }]
+    },
+    {
+      code: "const plain = (a: string, b: string, c: string) => a + b + c;",
+      filename: typedFile,
+      options: [{ func: 2, ignoreContextuallyTyped: true }],
+      languageOptions: typedLanguageOptions,
+      errors: [{ messageId: "exceed", data: { name: "Arrow function", count: 3, max: 2 } }]
+    },
+    {
+      code: "const handler: Handler = (req, res, ...next) => [req, res, next];",
+      options: [{ func: 2, ignoreContextuallyTyped: true }],
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "exceed", data: { name: "Arrow function", count: 3, max: 2 } }]
+    },
+
+    // Options-object parameters
+    {
+      code: "interface Base { a: A; b: B } interface Options extends Base { c: C; d?: D } function test(options: Options) {}",
+      options: [{ optionsObject: { maxRequired: 2, maxOptional: 1 } }],
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "exceedOptionsRequired", data: { name: "Function 'test'", count: 3, max: 2 }, column: 92 }]
+    },
+    {
+      code: "type Options = { a?: A; b?: B; c?(): void }; const test = ({ a, b }: Options = {}) => {};",
+      options: [{ optionsObject: { maxRequired: 0, maxOptional: 2 } }],
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "exceedOptionsOptional", data: { name: "Arrow function", count: 3, max: 2 } }]
+    },
+    {
+      code: "function test(options: Partial<ServerOptions>) {}",
+      filename: typedFile,
+      options: [{ optionsObject: { maxRequired: 0, maxOptional: 3 } }],
+      languageOptions: typedLanguageOptions,
+      errors: [{ messageId: "exceedOptionsOptional", data: { name: "Function 'test'", count: 4, max: 3 } }]
+    },
+    {
+      code: "function test(options: ServerOptions & { retries: number }) {}",
+      filename: typedFile,
+      options: [{ optionsObject: { maxRequired: 2, maxOptional: 1 } }],
+      languageOptions: typedLanguageOptions,
+      errors: [
+        { messageId: "exceedOptionsRequired", data: { name: "Function 'test'", count: 3, max: 2 } },
+        { messageId: "exceedOptionsOptional", data: { name: "Function 'test'", count: 2, max: 1 } }
+      ]
+    },
+
+    // Parameters forwarded to super()
+    {
+      code: "class B extends A { constructor(a, b, c, d, ...extra) { super(a, b, c, d); this.extra = extra; } }",
+      options: [{ constructor: 1 }],
+      errors: [{ messageId: "exceed", data: { name: "Constructor", count: 5, max: 1 } }]
+    },
+    {
+      code: "class B extends A { constructor(a, b, c, d, ...extra) { super(a, b, c, d); this.extra = extra; } }",
+      options: [{ constructor: 0, constructorSuperForwarding: "ignore" }],
+      errors: [{ messageId: "exceedOwn", data: { name: "Constructor", count: 1, forwarded: 4, max: 0 } }]
+    },
+    {
+      code: "class B extends A { constructor(a, b, ...c) { super(a + 1, b); log(b); } }",
+      options: [{ constructor: 1, constructorSuperForwarding: "ignore" }],
+      errors: [{ messageId: "exceed", data: { name: "Constructor", count: 3, max: 1 } }]
+    },
+    {
+      code: "class B extends A { constructor(a, b, c, ...d) { super(a, b, c); this.d = d; } }",
+      options: [{ constructor: 1, constructorSuperForwarding: 2 }],
+      errors: [{ messageId: "exceedForwarded", data: { name: "Constructor", count: 1, forwarded: 3, max: 2 } }]
+    },
+
+    // Baseline
+    {
+      code: "function foo(a, b, c, d, ...e) {}",
+      filename: legacyFile,
+      options: [{ func: 3, baseline }],
+      output: "function foo(a, b, c) {}",
+      errors: [{ messageId: "exceed", data: { name: "Function 'foo'", count: 5, max: 3 } }]
+    },
+    {
+      code: "function qux(a, b, c, ...d) {}",
+      filename: legacyFile,
+      options: [{ func: 3, baseline }],
+      output: "function qux(a, b, c) {}",
+      errors: [{ messageId: "exceed", data: { name: "Function 'qux'", count: 4, max: 3 } }]
+    },
+    {
+      code: "function foo(a, b, c, ...d) {}",
+      filename: path.join(__dirname, "../../fixtures/other.js"),
+      options: [{ func: 3, baseline }],
+      output: "function foo(a, b, c) {}",
+      errors: [{ messageId: "exceed", data: { name: "Function 'foo'", count: 4, max: 3 } }]
+    },
+    {
+      code: "const a = (p, q, r, ...s) => {}; const b = (p, q, r, ...s) => {};",
+      filename: legacyFile,
+      options: [{ func: 3, baseline }],
+      output: "const a = (p, q, r, ...s) => {}; const b = (p, q, r) => {};",
+      errors: [{ messageId: "exceed", data: { name: "Arrow function", count: 4, max: 3 }, column: 60 }]
+    },
+    {
+      code: "class B extends A { constructor(a, b, c, d, ...e) { super(a, b, c, d); this.e = e; } }",
+      filename: legacyFile,
+      options: [{ constructor: 1, constructorSuperForwarding: 2, baseline: "tests/fixtures/baseline-constructors.json" }],
+      errors: [{ messageId: "exceedForwarded", data: { name: "Constructor", count: 1, forwarded: 4, max: 2 } }]
+    },
+    {
+      code: "function foo(a, b, c, ...d) {}",
+      filename: legacyFile,
+      options: [{ func: 3, baseline: "tests/fixtures/missing.json" }],
+      output: "function foo(a, b, c) {}",
+      errors: [{ messageId: "exceed", data: { name: "Function 'foo'", count: 4, max: 3 } }]
+    },
+    {
+      code: "function foo(a, b, c, d) {}",
+      filename: legacyFile,
+      options: [{ func: 3, baseline, reportUnusedBaseline: true }],
+      errors: [
+        { messageId: "unusedBaseline", data: { name: "Function 'bar'", count: 3 }, line: 1, column: 1 },
+        { messageId: "unusedBaseline", data: { name: "Arrow function", count: 5 }, line: 1, column: 1 }
+      ]
+    },
 
     // Error location should not cover the entire function; just the name.
     {
@@ -113,12 +1290,18 @@ ruleTester.run("better-max-params", rule, {
         // Just to make it longer
       }`,
       options: [{ func: 2 }],
+      output: `function test(a, b) {
+        // Just to make it longer
+      }`,
       errors: [{
         messageId: "exceed",
         line: 1,
         column: 1,
         endLine: 1,
-        endColumn: 14
+        endColumn: 14,
+        suggestions: [{ messageId: "useOptionsObject", output: `function test(a, { b, c } = {}) {
+        // Just to make it longer
+      }` }]
       }]
     }
   ],
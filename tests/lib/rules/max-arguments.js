@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Set a max argument number for your calls and `new` expressions.
+ * @author GP4cK
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const rule = require("../../../lib/rules/max-arguments"),
+  RuleTester = require("eslint").RuleTester,
+  tsParser = require("@typescript-eslint/parser");
+
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester();
+ruleTester.run("max-arguments", rule, {
+  valid: [
+    "test(a, b, c, d, e, f);",
+    { code: "test(a, b, c);", options: [{ call: 3 }] },
+    { code: "app.use(a, b, c);", options: [{ call: 2, method: 3 }] },
+    { code: "new Test(a, b, c);", options: [{ call: 2, new: 3 }] },
+    { code: "class A extends B { constructor() { super(a, b, c); } }", options: [{ new: 2, super: 3 }] },
+    { code: "test(a, ...b, ...c);", options: [{ call: 1, spreadArguments: "ignore" }] },
+    { code: "legacyTest(a, b, c);", options: [{ call: 2, ignoreCallees: ["legacy*"] }] },
+    { code: "items.filter(f).reduce(a, b, c);", options: [{ call: 2, ignoreCallees: ["*.reduce"] }] },
+  ],
+
+  invalid: [
+    {
+      code: "test(a, b, c);",
+      options: [{ call: 2 }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Call to 'test'", count: 3, max: 2 },
+        line: 1,
+        column: 1,
+        endColumn: 5,
+        type: "CallExpression"
+      }]
+    },
+    {
+      code: "this.router.get(a, b, c);",
+      options: [{ call: 2 }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Method call to 'this.router.get'", count: 3, max: 2 },
+        column: 1,
+        endColumn: 16,
+        type: "CallExpression"
+      }]
+    },
+    {
+      code: "items[key](a, b, c);",
+      options: [{ call: 5, method: 2 }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Method call", count: 3, max: 2 },
+        type: "CallExpression"
+      }]
+    },
+    {
+      code: "new Test(a, b, c);",
+      options: [{ call: 2 }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "New expression 'Test'", count: 3, max: 2 },
+        column: 1,
+        endColumn: 9,
+        type: "NewExpression"
+      }]
+    },
+    {
+      code: "new Map<K, V>(a, b);",
+      options: [{ new: 1 }],
+      languageOptions: { parser: tsParser },
+      errors: [{
+        messageId: "exceed",
+        data: { name: "New expression 'Map'", count: 2, max: 1 },
+        column: 1,
+        endColumn: 14,
+        type: "NewExpression"
+      }]
+    },
+    {
+      code: "class A extends B { constructor() { super(a, b, c); } }",
+      options: [{ call: 5, new: 2 }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Super call", count: 3, max: 2 },
+        type: "CallExpression"
+      }]
+    },
+    {
+      code: "test(a, ...b, ...c);",
+      options: [{ call: 2 }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Call to 'test'", count: 3, max: 2 },
+        type: "CallExpression"
+      }]
+    },
+    {
+      code: "test(a, b, ...c);",
+      options: [{ call: 1, spreadArguments: "ignore" }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Call to 'test'", count: 2, max: 1 },
+        type: "CallExpression"
+      }]
+    },
+  ],
+});
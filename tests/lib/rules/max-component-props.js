@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Set a max prop number for your React function components.
+ * @author GP4cK
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const rule = require("../../../lib/rules/max-component-props"),
+  RuleTester = require("eslint").RuleTester,
+  tsParser = require("@typescript-eslint/parser");
+
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester({ languageOptions: { parserOptions: { ecmaFeatures: { jsx: true } } } });
+ruleTester.run("max-component-props", rule, {
+  valid: [
+    { code: "function Card({ a, b, c }) { return <div />; }", options: [{ componentProps: 3 }] },
+    // not components
+    { code: "function card({ a, b, c, d }) { return <div />; }", options: [{ componentProps: 3 }] },
+    { code: "function Card({ a, b, c, d }) { return null; }", options: [{ componentProps: 3 }] },
+    { code: "function Card({ a, b, c, d }) { return items.map(() => <div />); }", options: [{ componentProps: 3 }] },
+    // props which can't be counted
+    { code: "function Card(props) { return <div />; }", options: [{ componentProps: 0 }] },
+    { code: "const Card = memo((props) => <div />);", options: [{ componentProps: 0 }] },
+    {
+      code: "function Card({ a, b, c }: Props) { return <div />; }",
+      options: [{ componentProps: 3 }],
+      languageOptions: { parser: tsParser }
+    },
+    // default limit
+    "function Card({ a, b, c, d, e, f, g, h }) { return <div />; }"
+  ],
+
+  invalid: [
+    {
+      code: "function Card({ title, subtitle, icon, onClick }) { return <div />; }",
+      options: [{ componentProps: 3 }],
+      errors: [{ messageId: "exceed", data: { name: "Component 'Card'", count: 4, max: 3 } }]
+    },
+    {
+      code: "const Card = ({ a, b, c, d }) => <div />;",
+      options: [{ componentProps: 3 }],
+      errors: [{ messageId: "exceed", data: { name: "Component 'Card'", count: 4, max: 3 } }]
+    },
+    {
+      code: "const Card = ({ a, b, c, d }) => open ? <div /> : null;",
+      options: [{ componentProps: 3 }],
+      errors: [{ messageId: "exceed", data: { name: "Component 'Card'", count: 4, max: 3 } }]
+    },
+    {
+      code: "function Card({ a, b, c, ...rest }) { if (!a) { return null; } return <><div /></>; }",
+      options: [{ componentProps: 3 }],
+      errors: [{ messageId: "exceed", data: { name: "Component 'Card'", count: 4, max: 3 } }]
+    },
+    {
+      code: "function Card({ a, b } = {}) { return <div />; }",
+      options: [{ componentProps: 1 }],
+      errors: [{ messageId: "exceed", data: { name: "Component 'Card'", count: 2, max: 1 } }]
+    },
+    // wrappers
+    {
+      code: "const Card = memo(({ a, b, c, d }) => { return renderCard(a, b, c, d); });",
+      options: [{ componentProps: 3 }],
+      errors: [{ messageId: "exceed", data: { name: "Component 'Card'", count: 4, max: 3 } }]
+    },
+    {
+      code: "const Card = React.memo(React.forwardRef(function Inner({ a, b, c, d }, ref) { return <div ref={ref} />; }));",
+      options: [{ componentProps: 3 }],
+      errors: [{ messageId: "exceed", data: { name: "Component 'Inner'", count: 4, max: 3 } }]
+    },
+    {
+      code: "export default memo(({ a, b }) => <div />);",
+      options: [{ componentProps: 1 }],
+      languageOptions: { sourceType: "module" },
+      errors: [{ messageId: "exceed", data: { name: "Component", count: 2, max: 1 } }]
+    },
+    // TypeScript props types
+    {
+      code: "function Card({ a }: { a: string; b?: number; onClick(): void }) { return <div />; }",
+      options: [{ componentProps: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "exceed", data: { name: "Component 'Card'", count: 3, max: 2 } }]
+    },
+    {
+      code: "interface Base { id: string } interface Props extends Base { a: string; b: string } function Card({ a }: Props) { return <div />; }",
+      options: [{ componentProps: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "exceed", data: { name: "Component 'Card'", count: 3, max: 2 } }]
+    },
+    {
+      code: "type Props = { a: string } & { b: string; c: string }; const Card: React.FC<Props> = ({ a }) => <div />;",
+      options: [{ componentProps: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "exceed", data: { name: "Component 'Card'", count: 3, max: 2 } }]
+    },
+    {
+      code: "function Card({ a, b, c }: Props & { d: string }) { return <div />; }",
+      options: [{ componentProps: 2 }],
+      languageOptions: { parser: tsParser },
+      errors: [{ messageId: "exceed", data: { name: "Component 'Card'", count: 3, max: 2 } }]
+    },
+    // location
+    {
+      code: "const Card = memo(({ a, b }) => <div />);",
+      options: [{ componentProps: 1 }],
+      errors: [{ messageId: "exceed", line: 1, column: 30, endLine: 1, endColumn: 32 }]
+    }
+  ],
+});
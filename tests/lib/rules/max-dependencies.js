@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Set a max dependency number for your classes, injected through their constructor or `inject()` fields.
+ * @author GP4cK
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const rule = require("../../../lib/rules/max-dependencies"),
+  RuleTester = require("eslint").RuleTester,
+  tsParser = require("@typescript-eslint/parser");
+
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester({ languageOptions: { parser: tsParser } });
+ruleTester.run("max-dependencies", rule, {
+  valid: [
+    { code: "class Service { private http = inject(HttpClient); constructor(private store: Store) {} }", options: [{ dependencies: 2 }] },
+    // not injected
+    { code: "class Service { count = 0; items = []; static http = inject(HttpClient); }", options: [{ dependencies: 0 }] },
+    { code: "class Service { http = createClient(); }", options: [{ dependencies: 0 }] },
+    { code: "class Service { http = container.resolve(HttpClient); }", options: [{ dependencies: 0 }] },
+    // overloads are counted once, from the implementation
+    {
+      code: "class Service { constructor(a: A); constructor(a: A, b?: B); constructor(a: A, b?: B) {} }",
+      options: [{ dependencies: 2 }]
+    },
+    // default limit
+    "class Service { constructor(a, b, c, d, e, f, g, h) {} }"
+  ],
+
+  invalid: [
+    {
+      code: "@Injectable() export class Service { private http = inject(HttpClient); #logger = inject(Logger)!; constructor(private store: Store) {} }",
+      options: [{ dependencies: 2 }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Class 'Service'", count: 3, dependencies: "store, http, #logger", max: 2 },
+        line: 1,
+        column: 22,
+        endColumn: 35
+      }]
+    },
+    {
+      code: "const Service = class { http = container.resolve(HttpClient); logger = container.resolve(Logger); };",
+      options: [{ dependencies: 1, injectors: ["*.resolve"] }],
+      errors: [{
+        messageId: "exceed",
+        data: { name: "Class", count: 2, dependencies: "http, logger", max: 1 },
+        column: 17,
+        endColumn: 22
+      }]
+    },
+    {
+      code: "class Service { ['http'] = inject(HttpClient); [key] = inject(Logger); constructor({ a, b }) {} }",
+      options: [{ dependencies: 2 }],
+      errors: [{ messageId: "exceed", data: { name: "Class 'Service'", count: 3, dependencies: "{}, http, [key]", max: 2 } }]
+    },
+    {
+      code: "class Service { constructor(a, b, c, d, e, f, g, h, i) {} }",
+      errors: [{ messageId: "exceed", data: { name: "Class 'Service'", count: 9, dependencies: "a, b, c, d, e, f, g, h, i", max: 8 } }]
+    }
+  ]
+});
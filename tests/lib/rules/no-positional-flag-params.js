@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Disallow boolean traps and runs of same-typed positional parameters.
+ * @author GP4cK
+ */
+"use strict";
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const rule = require("../../../lib/rules/no-positional-flag-params"),
+  RuleTester = require("eslint").RuleTester,
+  tsParser = require("@typescript-eslint/parser");
+
+
+//------------------------------------------------------------------------------
+// Tests
+//------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester({ languageOptions: { parser: tsParser } });
+ruleTester.run("no-positional-flag-params", rule, {
+  valid: [
+    "function test(a, b, c, d) {}",
+    "function test(visible = true, name) {}",
+    "function test(visible: boolean, options: Options) {}",
+    { code: "function test(a = true, b = false) {}", options: [{ maxBooleans: 2 }] },
+    "function test(x: number, y: number) {}",
+    "function test(name: string, count: number, label: string) {}",
+    { code: "function test(a: string, b: string, c: string) {}", options: [{ maxSameTypeRun: 3 }] },
+    "function test(this: Window, flag: boolean, other: string) {}",
+  ],
+
+  invalid: [
+    {
+      code: "function f(a: boolean, b: boolean): void;\nfunction f(a: boolean, b: boolean, c?: string): void;\nfunction f(a: boolean, b: boolean, c?: string) {}",
+      errors: [{ messageId: "tooManyBooleans", data: { name: "Function 'f'", count: 2, params: "a, b", max: 1 }, line: 1 }]
+    },
+    {
+      code: "class Test {\n  run(a: boolean, b: boolean): void;\n  run(a: boolean, b: boolean) {}\n}",
+      errors: [{ messageId: "tooManyBooleans", data: { name: "Method 'run'", count: 2, params: "a, b", max: 1 }, line: 2 }]
+    },
+    {
+      code: "function test(visible = true, enabled: boolean) {}",
+      errors: [{
+        messageId: "tooManyBooleans",
+        data: { name: "Function 'test'", count: 2, params: "visible, enabled", max: 1 },
+        line: 1,
+        column: 1,
+        endColumn: 14,
+        type: "FunctionDeclaration"
+      }]
+    },
+    {
+      code: "class Test { constructor(private readonly a: boolean, b?: boolean, c = false) {} }",
+      options: [{ maxBooleans: 2 }],
+      errors: [{
+        messageId: "tooManyBooleans",
+        data: { name: "Constructor", count: 3, params: "a, b, c", max: 2 },
+        type: "FunctionExpression"
+      }]
+    },
+    {
+      code: "interface Test { move(x: number, y: number, z: number, label: string): void }",
+      errors: [{
+        messageId: "sameTypeRun",
+        data: { name: "Method signature 'move'", type: "number", count: 3, params: "x, y, z", max: 2 },
+        type: "TSMethodSignature"
+      }]
+    },
+    {
+      code: "const test = (first: string, last: string, id: Id, a: Id, b: Id) => {};",
+      options: [{ maxSameTypeRun: 1 }],
+      errors: [{
+        messageId: "sameTypeRun",
+        data: { name: "Arrow function", type: "string", count: 2, params: "first, last", max: 1 },
+        type: "ArrowFunctionExpression"
+      }, {
+        messageId: "sameTypeRun",
+        data: { name: "Arrow function", type: "Id", count: 3, params: "id, a, b", max: 1 },
+        type: "ArrowFunctionExpression"
+      }]
+    },
+    {
+      code: "type Test = (a: boolean, b: boolean, c: boolean) => void;",
+      errors: [{
+        messageId: "tooManyBooleans",
+        data: { name: "Function type 'Test'", count: 3, params: "a, b, c", max: 1 },
+        type: "TSFunctionType"
+      }]
+    },
+  ],
+});